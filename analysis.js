@@ -0,0 +1,176 @@
+// Structural facts about a graph that bear on Hamiltonicity, read off the adjacency matrix.
+// Vertices are matrix indices. Arcs of a directed graph are read as undirected edges: every
+// condition below that rules a Hamiltonian cycle out of the underlying graph also rules out
+// a directed one, while Dirac's and Ore's theorems only apply to undirected graphs.
+//
+// Loads as a CommonJS module under Node and as the global `GraphAnalysis` in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GraphAnalysis = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    function adjacent(adj, u, v) {
+        return u !== v && (adj[u][v] === 1 || adj[v][u] === 1);
+    }
+
+    function neighbors(adj, u) {
+        return adj.map((_, v) => v).filter(v => adjacent(adj, u, v));
+    }
+
+    function degrees(adj) {
+        return adj.map((_, u) => neighbors(adj, u).length);
+    }
+
+    // Connected components, each a sorted list of vertices, ordered by their smallest vertex.
+    function components(adj) {
+        const seen = new Array(adj.length).fill(false);
+        const result = [];
+        for (let s = 0; s < adj.length; s++) {
+            if (seen[s]) continue;
+            seen[s] = true;
+            const component = [];
+            const stack = [s];
+            while (stack.length > 0) {
+                const u = stack.pop();
+                component.push(u);
+                neighbors(adj, u).forEach(v => {
+                    if (!seen[v]) {
+                        seen[v] = true;
+                        stack.push(v);
+                    }
+                });
+            }
+            result.push(component.sort((a, b) => a - b));
+        }
+        return result;
+    }
+
+    // Vertices whose removal disconnects their component (Hopcroft–Tarjan low-link).
+    function cutVertices(adj) {
+        const n = adj.length;
+        const depth = new Array(n).fill(-1);
+        const low = new Array(n).fill(0);
+        const cut = new Set();
+
+        function visit(u, parent, d) {
+            depth[u] = low[u] = d;
+            let children = 0;
+            for (const v of neighbors(adj, u)) {
+                if (v === parent) continue;
+                if (depth[v] !== -1) {
+                    low[u] = Math.min(low[u], depth[v]);
+                    continue;
+                }
+                children++;
+                visit(v, u, d + 1);
+                low[u] = Math.min(low[u], low[v]);
+                if (parent !== -1 && low[v] >= depth[u]) cut.add(u);
+            }
+            if (parent === -1 && children > 1) cut.add(u);
+        }
+
+        for (let s = 0; s < n; s++) {
+            if (depth[s] === -1) visit(s, -1, 0);
+        }
+        return [...cut].sort((a, b) => a - b);
+    }
+
+    // Breadth-first 2-colouring. A bipartite graph gets `sides` (0 or 1 per vertex); otherwise
+    // the odd cycle that got in the way is returned, closed through the two BFS tree paths.
+    function bipartition(adj) {
+        const n = adj.length;
+        const sides = new Array(n).fill(-1);
+        const parent = new Array(n).fill(-1);
+        for (let s = 0; s < n; s++) {
+            if (sides[s] !== -1) continue;
+            sides[s] = 0;
+            const queue = [s];
+            while (queue.length > 0) {
+                const u = queue.shift();
+                for (const v of neighbors(adj, u)) {
+                    if (sides[v] === -1) {
+                        sides[v] = 1 - sides[u];
+                        parent[v] = u;
+                        queue.push(v);
+                    } else if (sides[v] === sides[u]) {
+                        return { bipartite: false, oddCycle: closeOddCycle(parent, u, v) };
+                    }
+                }
+            }
+        }
+        return { bipartite: true, sides };
+    }
+
+    function closeOddCycle(parent, u, v) {
+        const pathToRoot = x => {
+            const path = [x];
+            while (parent[x] !== -1) path.push(x = parent[x]);
+            return path;
+        };
+        const fromU = pathToRoot(u);
+        const fromV = pathToRoot(v);
+        const onV = new Set(fromV);
+        const meet = fromU.find(x => onV.has(x));
+        return [...fromU.slice(0, fromU.indexOf(meet) + 1), ...fromV.slice(0, fromV.indexOf(meet)).reverse()];
+    }
+
+    // Dirac (1952): n >= 3 and every vertex has degree >= n/2. `short` lists the vertices below that.
+    function dirac(adj) {
+        const n = adj.length;
+        const deg = degrees(adj);
+        const short = deg.map((d, v) => v).filter(v => 2 * deg[v] < n);
+        return { holds: n >= 3 && short.length === 0, threshold: n / 2, short };
+    }
+
+    // Ore (1960): n >= 3 and deg(u) + deg(v) >= n for every non-adjacent pair. `failing` lists
+    // the pairs that fall short.
+    function ore(adj) {
+        const n = adj.length;
+        const deg = degrees(adj);
+        const failing = [];
+        for (let u = 0; u < n; u++) {
+            for (let v = u + 1; v < n; v++) {
+                if (!adjacent(adj, u, v) && deg[u] + deg[v] < n) failing.push([u, v]);
+            }
+        }
+        return { holds: n >= 3 && failing.length === 0, failing };
+    }
+
+    // Everything the analysis panel shows, plus the verdict it leads to for a Hamiltonian cycle:
+    // 'ruled-out' (with the reasons), 'guaranteed' (Dirac or Ore) or 'open'. An undirected cycle
+    // needs 3 vertices; a directed one may use the two arcs between a pair.
+    function analyze(adj, directed = false) {
+        const n = adj.length;
+        const deg = degrees(adj);
+        const parts = components(adj);
+        const cuts = cutVertices(adj);
+        const coloring = bipartition(adj);
+        const partSizes = coloring.bipartite
+            ? [0, 1].map(side => coloring.sides.filter(s => s === side).length)
+            : null;
+        const diracResult = dirac(adj);
+        const oreResult = ore(adj);
+
+        const reasons = [];
+        if (!directed && n > 0 && n < 3) reasons.push('too-small');
+        if (parts.length > 1) reasons.push('disconnected');
+        if (n >= 3 && deg.some(d => d < 2)) reasons.push('low-degree');
+        if (cuts.length > 0) reasons.push('cut-vertex');
+        if (partSizes && partSizes[0] !== partSizes[1]) reasons.push('unequal-parts');
+
+        let verdict = 'open';
+        if (reasons.length > 0) verdict = 'ruled-out';
+        else if (!directed && (diracResult.holds || oreResult.holds)) verdict = 'guaranteed';
+
+        return {
+            degrees: deg, components: parts, cutVertices: cuts, bipartition: coloring, partSizes,
+            dirac: diracResult, ore: oreResult, verdict, reasons
+        };
+    }
+
+    return { degrees, components, cutVertices, bipartition, dirac, ore, analyze };
+});
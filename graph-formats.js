@@ -0,0 +1,494 @@
+// Reading and writing graphs as text: the app's JSON, adjacency matrices, edge lists, Graphviz
+// DOT and GraphML. Parsers throw an Error whose message points at the offending line or entry,
+// and return an app graph ({ nodes, links, name, directed? }) whose name is left unset when the
+// text does not give one. GraphML parsing needs DOMParser, so it only runs in the browser.
+//
+// Loads as a CommonJS module under Node and as the global `GraphFormats` in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./graph-model.js'), require('./solver.js'));
+    } else {
+        root.GraphFormats = factory(root.GraphModel, root.HamiltonianSolver);
+    }
+})(typeof self !== 'undefined' ? self : this, function (GraphModel, HamiltonianSolver) {
+    'use strict';
+
+    const { LAYOUTS, serializeGraph } = GraphModel;
+    const { linkWeight } = HamiltonianSolver;
+
+    function displayLabel(node) {
+        return node.label ? node.label : String(node.id);
+    }
+
+    function parseWeight(text, where) {
+        const weight = Number(text);
+        if (String(text).trim() === '' || !Number.isFinite(weight) || weight < 0) {
+            throw new Error(`${where}: weight "${text}" is not a non-negative number.`);
+        }
+        return weight;
+    }
+
+    // Builds an app graph from parsed vertex names and edges. Names that are distinct
+    // non-negative integers are kept as ids; anything else is numbered in order of appearance
+    // and kept as the vertex label.
+    function assembleGraph({ name, directed, vertices, edges }) {
+        const names = [...vertices.keys()];
+        if (names.length === 0) throw new Error('The graph has no vertices.');
+        const numeric = names.every(n => /^\d+$/.test(n) && String(parseInt(n, 10)) === n);
+        const idOf = new Map(names.map((n, i) => [n, numeric ? parseInt(n, 10) : i]));
+
+        const nodes = names.map(n => {
+            const node = { id: idOf.get(n) };
+            const info = vertices.get(n) || {};
+            const given = info.label !== undefined && info.label !== null ? String(info.label).trim() : '';
+            const label = given || (numeric ? null : n);
+            if (label) node.label = label;
+            if (Number.isFinite(info.x) && Number.isFinite(info.y)) {
+                node.x = info.x;
+                node.y = info.y;
+            }
+            return node;
+        });
+
+        const seen = new Set();
+        const links = [];
+        for (const edge of edges) {
+            if (edge.source === edge.target) {
+                throw new Error(`${edge.where}: self-loop on "${edge.source}". A Hamiltonian search has no use for loops; remove it.`);
+            }
+            const source = idOf.get(edge.source);
+            const target = idOf.get(edge.target);
+            const key = directed ? `${source}-${target}` : [source, target].sort((a, b) => a - b).join('-');
+            if (seen.has(key)) continue; // Parallel edges collapse into one.
+            seen.add(key);
+            const link = { source, target };
+            if (edge.weight !== undefined) link.weight = edge.weight;
+            links.push(link);
+        }
+
+        const graph = { nodes, links };
+        if (name) graph.name = name;
+        if (directed) graph.directed = true;
+        return graph;
+    }
+
+    function parseJsonGraph(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Invalid JSON: ${err.message}`);
+        }
+        if (!data || typeof data !== 'object' || !Array.isArray(data.nodes) || !Array.isArray(data.links)) {
+            throw new Error('The JSON must be an object with a "nodes" array and a "links" array.');
+        }
+
+        const vertices = new Map();
+        data.nodes.forEach((n, i) => {
+            const id = n !== null && typeof n === 'object' ? n.id : n;
+            if (id === undefined || id === null || id === '') throw new Error(`nodes[${i}] has no "id".`);
+            if (vertices.has(String(id))) throw new Error(`nodes[${i}]: duplicate id ${JSON.stringify(id)}.`);
+            vertices.set(String(id), n && typeof n === 'object' ? { x: n.x, y: n.y, label: n.label } : null);
+        });
+
+        const edges = data.links.map((l, i) => {
+            const where = `links[${i}]`;
+            if (!l || typeof l !== 'object') throw new Error(`${where} must be an object with "source" and "target".`);
+            const [source, target] = [l.source, l.target].map(end => String(end !== null && typeof end === 'object' ? end.id : end));
+            for (const end of [source, target]) {
+                if (!vertices.has(end)) throw new Error(`${where}: unknown vertex "${end}".`);
+            }
+            return { source, target, weight: l.weight !== undefined ? parseWeight(l.weight, where) : undefined, where };
+        });
+
+        const graph = assembleGraph({ name: data.name, directed: !!data.directed, vertices, edges });
+        if (Number.isInteger(data.nextId)) graph.nextId = data.nextId;
+        if (LAYOUTS.includes(data.layout)) graph.layout = data.layout;
+        return graph;
+    }
+
+    function parseMatrixGraph(text) {
+        const trimmed = text.trim();
+        const labelLine = trimmed.match(/^#\s*labels:\s*(.*)$/m);
+        let labels = null;
+        if (labelLine) {
+            try {
+                labels = JSON.parse(labelLine[1]);
+            } catch (err) {
+                throw new Error(`The "# labels:" line must hold a JSON array of strings: ${err.message}`);
+            }
+        }
+        let rows;
+        const bracketed = trimmed.split('\n').filter(line => !line.trim().startsWith('#')).join('\n').trim();
+        if (bracketed.startsWith('[')) {
+            try {
+                rows = JSON.parse(bracketed);
+            } catch (err) {
+                throw new Error(`Invalid bracketed matrix: ${err.message}`);
+            }
+            if (!Array.isArray(rows) || !rows.every(Array.isArray)) {
+                throw new Error('A bracketed matrix must be an array of row arrays, like [[0,1],[1,0]].');
+            }
+            rows = rows.map(row => row.map(cell => cell === null ? null : String(cell)));
+        } else {
+            rows = trimmed.split('\n')
+                .map(line => line.replace(/#.*/, '').trim())
+                .filter(line => line)
+                .map(line => line.split(/[\s,;]+/));
+        }
+
+        const n = rows.length;
+        if (n === 0) throw new Error('The matrix is empty.');
+        const values = rows.map((row, i) => {
+            if (row.length !== n) {
+                throw new Error(`Row ${i + 1} has ${row.length} entries, but a ${n}×${n} matrix needs ${n}.`);
+            }
+            return row.map((cell, j) => {
+                if (cell === null) return null;
+                const value = Number(cell);
+                if (cell.trim() === '' || !Number.isFinite(value) || value < 0) {
+                    throw new Error(`Row ${i + 1}, column ${j + 1}: "${cell}" is not a non-negative number.`);
+                }
+                if (i === j && value !== 0) {
+                    throw new Error(`Row ${i + 1}, column ${j + 1}: diagonal entries must be 0 (self-loops are not allowed).`);
+                }
+                return value;
+            });
+        });
+
+        // Once null marks the missing edges, 0 is an ordinary weight.
+        const sparse = values.some(row => row.includes(null));
+        const absent = value => sparse ? value === null : value === 0;
+        const directed = values.some((row, i) => row.some((value, j) => value !== values[j][i]));
+        const weighted = values.some((row, i) => row.some((value, j) => i !== j && !absent(value) && value !== 1));
+        if (labels && (!Array.isArray(labels) || labels.length !== n)) {
+            throw new Error(`The "# labels:" line lists ${Array.isArray(labels) ? labels.length : 'no'} labels, but the matrix has ${n} rows.`);
+        }
+        const vertices = new Map(values.map((_, i) => [String(i), labels ? { label: labels[i] } : null]));
+        const edges = [];
+        values.forEach((row, i) => row.forEach((value, j) => {
+            if (i === j || absent(value) || (!directed && j < i)) return;
+            edges.push({ source: String(i), target: String(j), weight: weighted ? value : undefined, where: `Row ${i + 1}` });
+        }));
+
+        return assembleGraph({ directed, vertices, edges });
+    }
+
+    // The export's header comment is "# name", with " (directed)" appended for a directed graph.
+    function parseEdgeListGraph(text, directed) {
+        const lines = text.split('\n');
+        if (/^\s*#.*\(directed\)\s*$/.test(lines.find(line => line.trim()))) directed = true;
+        const vertices = new Map();
+        const edges = [];
+        lines.forEach((raw, i) => {
+            const line = raw.replace(/#.*/, '').trim();
+            if (!line) return;
+            const where = `Line ${i + 1}`;
+            const parts = line.split(/[\s,;]+/);
+            if (parts.length > 3) {
+                throw new Error(`${where}: expected "u v" or "u v weight" but found ${parts.length} values.`);
+            }
+            parts.slice(0, 2).forEach(v => {
+                if (!vertices.has(v)) vertices.set(v, null);
+            });
+            if (parts.length > 1) {
+                const weight = parts.length === 3 ? parseWeight(parts[2], where) : undefined;
+                edges.push({ source: parts[0], target: parts[1], weight, where });
+            }
+        });
+        if (vertices.size === 0) throw new Error('The edge list is empty.');
+        return assembleGraph({ directed, vertices, edges });
+    }
+
+    function tokenizeDot(text) {
+        const tokens = [];
+        const pattern = /\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|("(?:[^"\\]|\\[\s\S])*")|(--|->|[{}[\];,=:])|([A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?))|([\s\S])/y;
+        let line = 1;
+        let match;
+        while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+            const [whole, quoted, op, id, other] = match;
+            if (other !== undefined) {
+                const hint = other === '<' ? ' (HTML-like labels are not supported)' : '';
+                throw new Error(`Line ${line}: unexpected character "${other}"${hint}.`);
+            }
+            if (quoted !== undefined) {
+                tokens.push({ type: 'id', value: quoted.slice(1, -1).replace(/\\"/g, '"'), quoted: true, line });
+            } else if (op !== undefined) {
+                tokens.push({ type: 'op', value: op, line });
+            } else if (id !== undefined) {
+                tokens.push({ type: 'id', value: id, line });
+            }
+            line += (whole.match(/\n/g) || []).length;
+        }
+        return tokens;
+    }
+
+    function parseDotGraph(text) {
+        const tokens = tokenizeDot(text);
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const isOp = (tok, value) => tok && tok.type === 'op' && tok.value === value;
+        const isKeyword = (tok, word) => tok && tok.type === 'id' && !tok.quoted && tok.value.toLowerCase() === word;
+        const fail = (message, tok) => {
+            throw new Error(tok ? `Line ${tok.line}: ${message}.` : `Unexpected end of input: ${message}.`);
+        };
+        const expect = (value) => {
+            const tok = next();
+            if (!isOp(tok, value)) fail(`expected "${value}"${tok ? ` but found "${tok.value}"` : ''}`, tok);
+        };
+        const skipPort = () => {
+            while (isOp(peek(), ':')) {
+                next();
+                if (!peek() || peek().type !== 'id') fail('expected a port name after ":"', peek());
+                next();
+            }
+        };
+        const parseAttributes = () => {
+            const attributes = {};
+            while (isOp(peek(), '[')) {
+                next();
+                while (peek() && !isOp(peek(), ']')) {
+                    const key = next();
+                    if (key.type !== 'id') fail(`expected an attribute name but found "${key.value}"`, key);
+                    expect('=');
+                    const value = next();
+                    if (!value || value.type !== 'id') fail(`expected a value for "${key.value}"`, value || key);
+                    attributes[key.value] = value.value;
+                    if (isOp(peek(), ',') || isOp(peek(), ';')) next();
+                }
+                expect(']');
+            }
+            return attributes;
+        };
+
+        if (isKeyword(peek(), 'strict')) next();
+        let directed;
+        if (isKeyword(peek(), 'digraph')) directed = true;
+        else if (isKeyword(peek(), 'graph')) directed = false;
+        else fail('a DOT file must start with "graph" or "digraph"', peek());
+        next();
+        const name = peek() && peek().type === 'id' ? next().value : null;
+        expect('{');
+
+        const edgeOp = directed ? '->' : '--';
+        const vertices = new Map();
+        const edges = [];
+        const addVertex = (id, attributes = {}) => {
+            const info = vertices.get(id) || {};
+            if (attributes.pos) {
+                [info.x, info.y] = attributes.pos.replace('!', '').split(',').map(Number);
+            }
+            if (attributes.label !== undefined) info.label = attributes.label;
+            vertices.set(id, info);
+        };
+
+        while (peek() && !isOp(peek(), '}')) {
+            const tok = next();
+            if (isOp(tok, ';')) continue;
+            if (isOp(tok, '{') || isKeyword(tok, 'subgraph')) fail('subgraphs are not supported', tok);
+            if (tok.type !== 'id') fail(`unexpected "${tok.value}"`, tok);
+            if (isKeyword(tok, 'graph') || isKeyword(tok, 'node') || isKeyword(tok, 'edge')) {
+                parseAttributes(); // Default attributes do not affect the graph's structure.
+                continue;
+            }
+            if (isOp(peek(), '=')) { // Graph attribute such as rankdir=LR
+                next();
+                if (!peek() || peek().type !== 'id') fail(`expected a value for "${tok.value}"`, peek() || tok);
+                next();
+                continue;
+            }
+
+            skipPort();
+            const chain = [tok.value];
+            while (isOp(peek(), '--') || isOp(peek(), '->')) {
+                const op = next();
+                if (op.value !== edgeOp) {
+                    fail(`"${op.value}" cannot be used in a ${directed ? 'digraph' : 'graph'}; use "${edgeOp}"`, op);
+                }
+                const target = next();
+                if (isOp(target, '{') || isKeyword(target, 'subgraph')) fail('subgraphs are not supported', target);
+                if (!target || target.type !== 'id') fail(`expected a vertex after "${op.value}"`, target || op);
+                chain.push(target.value);
+                skipPort();
+            }
+
+            const attributes = parseAttributes();
+            if (chain.length === 1) {
+                addVertex(tok.value, attributes);
+                continue;
+            }
+            const where = `Line ${tok.line}`;
+            let weight;
+            if (attributes.weight !== undefined) {
+                weight = parseWeight(attributes.weight, where);
+            } else if (attributes.label !== undefined && Number.isFinite(Number(attributes.label)) && attributes.label.trim() !== '') {
+                weight = parseWeight(attributes.label, where);
+            }
+            chain.forEach(v => addVertex(v));
+            for (let i = 0; i + 1 < chain.length; i++) {
+                edges.push({ source: chain[i], target: chain[i + 1], weight, where });
+            }
+        }
+        expect('}');
+        if (peek()) fail(`unexpected "${peek().value}" after the closing "}"`, peek());
+
+        return assembleGraph({ name, directed, vertices, edges });
+    }
+
+    function parseGraphMlGraph(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const parserError = doc.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            throw new Error(`The GraphML is not well-formed XML: ${parserError.textContent.trim().split('\n')[0]}`);
+        }
+        const graphEl = doc.getElementsByTagName('graph')[0];
+        if (!graphEl) throw new Error('No <graph> element found.');
+
+        // <data key="d0"> refers to <key id="d0" attr.name="weight">; fall back to the raw key id.
+        const keyNames = new Map();
+        for (const key of doc.getElementsByTagName('key')) {
+            keyNames.set(key.getAttribute('id'), (key.getAttribute('attr.name') || key.getAttribute('id')).toLowerCase());
+        }
+        const dataOf = (el) => {
+            const data = {};
+            for (const child of el.children) {
+                if (child.localName !== 'data') continue;
+                const key = child.getAttribute('key');
+                data[keyNames.get(key) || key] = child.textContent.trim();
+            }
+            return data;
+        };
+
+        const vertices = new Map();
+        [...graphEl.getElementsByTagName('node')].forEach((nodeEl, i) => {
+            const id = nodeEl.getAttribute('id');
+            if (!id) throw new Error(`Node ${i + 1} has no id attribute.`);
+            if (vertices.has(id)) throw new Error(`Node ${i + 1}: duplicate id "${id}".`);
+            const data = dataOf(nodeEl);
+            vertices.set(id, {
+                x: data.x !== undefined ? Number(data.x) : undefined,
+                y: data.y !== undefined ? Number(data.y) : undefined,
+                label: data.label
+            });
+        });
+
+        const defaultDirected = graphEl.getAttribute('edgedefault') === 'directed';
+        let directed = null;
+        const edges = [...graphEl.getElementsByTagName('edge')].map((edgeEl, i) => {
+            const where = `Edge ${i + 1}`;
+            const source = edgeEl.getAttribute('source');
+            const target = edgeEl.getAttribute('target');
+            for (const end of [source, target]) {
+                if (!end) throw new Error(`${where} needs both a source and a target attribute.`);
+                if (!vertices.has(end)) throw new Error(`${where}: unknown node "${end}".`);
+            }
+            const edgeDirected = edgeEl.hasAttribute('directed') ? edgeEl.getAttribute('directed') === 'true' : defaultDirected;
+            if (directed !== null && edgeDirected !== directed) {
+                throw new Error(`${where}: mixing directed and undirected edges is not supported.`);
+            }
+            directed = edgeDirected;
+            const data = dataOf(edgeEl);
+            return { source, target, weight: data.weight !== undefined ? parseWeight(data.weight, where) : undefined, where };
+        });
+
+        const name = dataOf(graphEl).name || graphEl.getAttribute('id');
+        return assembleGraph({ name, directed: directed === null ? defaultDirected : directed, vertices, edges });
+    }
+
+    function parseGraphText(text, format, directed) {
+        if (text.trim() === '') throw new Error('Paste a graph into the text box first.');
+        switch (format) {
+            case 'json': return parseJsonGraph(text);
+            case 'matrix': return parseMatrixGraph(text);
+            case 'edgelist': return parseEdgeListGraph(text, directed);
+            case 'dot': return parseDotGraph(text);
+            case 'graphml': return parseGraphMlGraph(text);
+            default: throw new Error(`Unknown format "${format}".`);
+        }
+    }
+
+    function escapeXml(text) {
+        return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+    }
+
+    function formatGraphText(graph, format) {
+        const saved = serializeGraph(graph);
+        const arrow = saved.directed ? '->' : '--';
+        const labelled = saved.nodes.some(n => n.label);
+        switch (format) {
+            case 'json':
+                return JSON.stringify(saved, null, 2);
+            case 'matrix': {
+                const index = new Map(saved.nodes.map((n, i) => [n.id, i]));
+                const weighted = saved.links.some(l => l.weight !== undefined);
+                // 0 would read back as "no edge", so weight-0 edges need a bracketed matrix with null there.
+                const sparse = weighted && saved.links.some(l => linkWeight(l) === 0);
+                const matrix = saved.nodes.map(() => saved.nodes.map(() => sparse ? null : 0));
+                saved.links.forEach(l => {
+                    const value = weighted ? linkWeight(l) : 1;
+                    matrix[index.get(l.source)][index.get(l.target)] = value;
+                    if (!saved.directed) matrix[index.get(l.target)][index.get(l.source)] = value;
+                });
+                const rows = sparse
+                    ? ['[', ...matrix.map((row, i) => `  ${JSON.stringify(row)}${i < matrix.length - 1 ? ',' : ''}`), ']']
+                    : matrix.map(row => row.join(' '));
+                return (labelled ? [`# labels: ${JSON.stringify(saved.nodes.map(displayLabel))}`, ...rows] : rows).join('\n');
+            }
+            case 'edgelist': {
+                // Labels become the vertex names when they survive the format: one token each,
+                // distinct, and not mistakable for another vertex's numeric id.
+                const names = saved.nodes.map(displayLabel);
+                const useLabels = labelled && new Set(names).size === names.length &&
+                    saved.nodes.every(n => /^[^\s,;#]+$/.test(displayLabel(n)) && (!n.label || !/^\d+$/.test(n.label)));
+                const nameOf = new Map(saved.nodes.map(n => [n.id, useLabels ? displayLabel(n) : String(n.id)]));
+                const connected = new Set(saved.links.flatMap(l => [l.source, l.target]));
+                return [
+                    `# ${saved.name}${saved.directed ? ' (directed)' : ''}`,
+                    ...(labelled && !useLabels ? saved.nodes.filter(n => n.label).map(n => `# vertex ${n.id}: ${n.label}`) : []),
+                    ...saved.nodes.filter(n => !connected.has(n.id)).map(n => nameOf.get(n.id)),
+                    ...saved.links.map(l => `${nameOf.get(l.source)} ${nameOf.get(l.target)}${l.weight !== undefined ? ` ${l.weight}` : ''}`)
+                ].join('\n');
+            }
+            case 'dot':
+                return [
+                    `${saved.directed ? 'digraph' : 'graph'} "${saved.name.replace(/"/g, '\\"')}" {`,
+                    ...saved.nodes.map(n => {
+                        const attributes = [];
+                        if (n.label) attributes.push(`label="${n.label.replace(/"/g, '\\"')}"`);
+                        if (n.x !== undefined) attributes.push(`pos="${n.x},${n.y}"`);
+                        return `  ${n.id}${attributes.length ? ` [${attributes.join(', ')}]` : ''};`;
+                    }),
+                    ...saved.links.map(l => `  ${l.source} ${arrow} ${l.target}${l.weight !== undefined ? ` [weight=${l.weight}, label="${l.weight}"]` : ''};`),
+                    '}'
+                ].join('\n');
+            case 'graphml':
+                return [
+                    '<?xml version="1.0" encoding="UTF-8"?>',
+                    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+                    '  <key id="name" for="graph" attr.name="name" attr.type="string"/>',
+                    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+                    '  <key id="x" for="node" attr.name="x" attr.type="double"/>',
+                    '  <key id="y" for="node" attr.name="y" attr.type="double"/>',
+                    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+                    `  <graph id="G" edgedefault="${saved.directed ? 'directed' : 'undirected'}">`,
+                    `    <data key="name">${escapeXml(saved.name)}</data>`,
+                    ...saved.nodes.map(n => {
+                        const data = [];
+                        if (n.label) data.push(`<data key="label">${escapeXml(n.label)}</data>`);
+                        if (n.x !== undefined) data.push(`<data key="x">${n.x}</data><data key="y">${n.y}</data>`);
+                        return data.length ? `    <node id="${n.id}">${data.join('')}</node>` : `    <node id="${n.id}"/>`;
+                    }),
+                    ...saved.links.map(l => l.weight !== undefined
+                        ? `    <edge source="${l.source}" target="${l.target}"><data key="weight">${l.weight}</data></edge>`
+                        : `    <edge source="${l.source}" target="${l.target}"/>`),
+                    '  </graph>',
+                    '</graphml>'
+                ].join('\n');
+            default:
+                throw new Error(`Unknown format "${format}".`);
+        }
+    }
+
+    return { parseGraphText, parseJsonGraph, formatGraphText };
+});
@@ -0,0 +1,98 @@
+// Graph operations shared by the editor and the graph library, kept free of DOM and D3 so
+// they can be tested in Node. A graph is { nodes: [{ id, label?, x?, y? }], links, directed? }.
+// Link endpoints are ids, or node objects once D3 has resolved them; both are accepted and new
+// links reuse the node objects of the graph they were built from.
+//
+// Loads as a CommonJS module under Node and as the global `GraphModel` in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GraphModel = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const LAYOUTS = ['force', 'circular', 'grid', 'bipartite', 'manual'];
+
+    function endpointId(end) {
+        return typeof end === 'object' && end !== null ? end.id : end;
+    }
+
+    // === Editing ===
+    // In an undirected graph u-v and v-u are the same edge.
+    function linkExists(graph, sourceId, targetId) {
+        return graph.links.some(l => {
+            const s = endpointId(l.source);
+            const t = endpointId(l.target);
+            return (s === sourceId && t === targetId) || (!graph.directed && s === targetId && t === sourceId);
+        });
+    }
+
+    // Removes the vertices and every edge touching them. Returns a new graph.
+    function deleteNodes(graph, ids) {
+        const gone = new Set(ids);
+        return {
+            ...graph,
+            nodes: graph.nodes.filter(n => !gone.has(n.id)),
+            links: graph.links.filter(l => !gone.has(endpointId(l.source)) && !gone.has(endpointId(l.target)))
+        };
+    }
+
+    function deleteNode(graph, id) {
+        return deleteNodes(graph, [id]);
+    }
+
+    // The edges (arcs, when directed) missing between the given vertices. Nothing is added to `graph`.
+    function missingLinks(graph, ids) {
+        const members = graph.nodes.filter(n => ids.includes(n.id));
+        const missing = [];
+        members.forEach(u => members.forEach(v => {
+            if (u === v || (!graph.directed && u.id > v.id)) return;
+            if (!linkExists(graph, u.id, v.id)) missing.push({ source: u, target: v });
+        }));
+        return missing;
+    }
+
+    // Every edge the graph does not have, and none that it does. Weights do not carry over.
+    function complementLinks(graph) {
+        return missingLinks(graph, graph.nodes.map(n => n.id));
+    }
+
+    // === Saved Graphs ===
+    // The stored form: ids for link endpoints, positions rounded to 0.1 px, optional fields only when set.
+    function serializeGraph(graph) {
+        const saved = {
+            nodes: graph.nodes.map(n => {
+                const savedNode = { id: n.id };
+                if (n.label) savedNode.label = n.label;
+                if (Number.isFinite(n.x) && Number.isFinite(n.y)) {
+                    savedNode.x = Math.round(n.x * 10) / 10;
+                    savedNode.y = Math.round(n.y * 10) / 10;
+                }
+                return savedNode;
+            }),
+            links: graph.links.map(l => {
+                const savedLink = { source: endpointId(l.source), target: endpointId(l.target) };
+                if (l.weight !== undefined) savedLink.weight = l.weight;
+                return savedLink;
+            }),
+            name: graph.name
+        };
+        if (graph.directed) saved.directed = true;
+        if (Number.isInteger(graph.nextId)) saved.nextId = graph.nextId;
+        if (LAYOUTS.includes(graph.layout)) saved.layout = graph.layout;
+        return saved;
+    }
+
+    // Takes the parsed library. Returns null when it is not a list (nothing saved yet), otherwise
+    // the entries that look like graphs.
+    function restoreGraphs(stored) {
+        if (!Array.isArray(stored)) return null;
+        return stored
+            .filter(g => g && Array.isArray(g.nodes) && Array.isArray(g.links))
+            .map(g => ({ ...g, name: String(g.name || 'Untitled Graph') }));
+    }
+
+    return { LAYOUTS, endpointId, linkExists, deleteNode, deleteNodes, missingLinks, complementLinks, serializeGraph, restoreGraphs };
+});
@@ -8,6 +8,16 @@ document.addEventListener('DOMContentLoaded', () => {
     const resetBtn = document.getElementById('reset-btn');
     const createGraphBtn = document.getElementById('create-graph-btn');
     const deleteBtn = document.getElementById('delete-btn');
+    const directedToggle = document.getElementById('directed-toggle');
+    const directedCheckbox = document.getElementById('directed-checkbox');
+    const historyButtons = document.getElementById('history-buttons');
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const editorTools = document.getElementById('editor-tools');
+    const deleteSelectedBtn = document.getElementById('delete-selected-btn');
+    const cliqueBtn = document.getElementById('clique-btn');
+    const complementBtn = document.getElementById('complement-btn');
+    const clearEdgesBtn = document.getElementById('clear-edges-btn');
     const editGraphBtn = document.getElementById('edit-graph-btn');
     const prevBtn = document.getElementById('prev-graph');
     const nextBtn = document.getElementById('next-graph');
@@ -16,6 +26,81 @@ document.addEventListener('DOMContentLoaded', () => {
     const addGraphBtn = document.getElementById('add-graph-btn');
     const resetIconRefresh = document.getElementById('reset-icon-refresh');
     const resetIconCancel = document.getElementById('reset-icon-cancel');
+    const timelineSlider = document.getElementById('timeline-slider');
+    const timelineLabel = document.getElementById('timeline-label');
+    const modeSelect = document.getElementById('mode-select');
+    const endVertexLabel = document.getElementById('end-vertex-label');
+    const startVertexSelect = document.getElementById('start-vertex-select');
+    const endVertexSelect = document.getElementById('end-vertex-select');
+    const orderSelect = document.getElementById('order-select');
+    const orderSeedLabel = document.getElementById('order-seed-label');
+    const orderSeedInput = document.getElementById('order-seed');
+    const findAllCheckbox = document.getElementById('find-all-checkbox');
+    const computeCheckbox = document.getElementById('compute-checkbox');
+    const solutionsPanel = document.getElementById('solutions-panel');
+    const solutionsCount = document.getElementById('solutions-count');
+    const solutionsList = document.getElementById('solutions-list');
+    const bestTourPanel = document.getElementById('best-tour-panel');
+    const bestTourText = document.getElementById('best-tour-text');
+    const algorithmSelect = document.getElementById('algorithm-select');
+    const layoutSelect = document.getElementById('layout-select');
+    const dpPanel = document.getElementById('dp-panel');
+    const dpTableContainer = document.getElementById('dp-table-container');
+    const heuristicCheckboxes = document.querySelectorAll('#heuristics-panel input[data-heuristic]');
+    const pruneCountBadges = document.querySelectorAll('#heuristics-panel [data-prune-count]');
+    const statExpanded = document.getElementById('stat-expanded');
+    const statBacktracks = document.getElementById('stat-backtracks');
+    const statMaxDepth = document.getElementById('stat-max-depth');
+    const statPathLength = document.getElementById('stat-path-length');
+    const statElapsed = document.getElementById('stat-elapsed');
+    const statsChart = d3.select("#stats-chart");
+    const analysisVerdict = document.getElementById('analysis-verdict');
+    const analysisList = document.getElementById('analysis-list');
+    const verifyKind = document.getElementById('verify-kind');
+    const verifySequenceText = document.getElementById('verify-sequence');
+    const verifyBtn = document.getElementById('verify-btn');
+    const verifyUndoBtn = document.getElementById('verify-undo-btn');
+    const verifyClearBtn = document.getElementById('verify-clear-btn');
+    const verifyCheckBtn = document.getElementById('verify-check-btn');
+    const treeToggleBtn = document.getElementById('tree-toggle-btn');
+    const treePanel = document.getElementById('tree-panel');
+    const treeSvg = d3.select("#tree-svg");
+    const treeMessage = document.getElementById('tree-message');
+    const libraryBtn = document.getElementById('library-btn');
+    const libraryModal = document.getElementById('library-modal');
+    const libraryList = document.getElementById('library-list');
+    const libraryCloseBtn = document.getElementById('library-close-btn');
+    const ioBtn = document.getElementById('io-btn');
+    const ioModal = document.getElementById('io-modal');
+    const ioCloseBtn = document.getElementById('io-close-btn');
+    const ioFormat = document.getElementById('io-format');
+    const ioDirected = document.getElementById('io-directed');
+    const ioDirectedLabel = document.getElementById('io-directed-label');
+    const ioText = document.getElementById('io-text');
+    const ioHint = document.getElementById('io-hint');
+    const ioError = document.getElementById('io-error');
+    const ioExportBtn = document.getElementById('io-export-btn');
+    const ioCopyBtn = document.getElementById('io-copy-btn');
+    const ioImportBtn = document.getElementById('io-import-btn');
+    const shareBtn = document.getElementById('share-btn');
+    const generatorBtn = document.getElementById('generator-btn');
+    const generatorModal = document.getElementById('generator-modal');
+    const generatorCloseBtn = document.getElementById('generator-close-btn');
+    const generatorFamily = document.getElementById('generator-family');
+    const generatorParams = document.getElementById('generator-params');
+    const generatorNote = document.getElementById('generator-note');
+    const generatorError = document.getElementById('generator-error');
+    const generatorCreateBtn = document.getElementById('generator-create-btn');
+    const compareBtn = document.getElementById('compare-btn');
+    const compareModal = document.getElementById('compare-modal');
+    const compareCloseBtn = document.getElementById('compare-close-btn');
+    const compareSubtitle = document.getElementById('compare-subtitle');
+    const compareRunBtn = document.getElementById('compare-run-btn');
+    const compareBackBtn = document.getElementById('compare-back-btn');
+    const comparePlayBtn = document.getElementById('compare-play-btn');
+    const compareForwardBtn = document.getElementById('compare-forward-btn');
+    const compareSlider = document.getElementById('compare-slider');
+    const compareStepLabel = document.getElementById('compare-step-label');
 
     // === Graph Definitions ===
     const graphs = [
@@ -52,9 +137,37 @@ document.addEventListener('DOMContentLoaded', () => {
                 { source: 1, target: 2 }, { source: 1, target: 3 }, { source: 1, target: 4 }
             ],
             name: "Graph 3: No HC (K2,3)"
+        },
+        { // Graph 4: Regular tournament on 5 vertices (Has directed cycle)
+            nodes: [
+                { id: 0 }, { id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }
+            ],
+            links: [
+                { source: 0, target: 1 }, { source: 1, target: 2 }, { source: 2, target: 3 },
+                { source: 3, target: 4 }, { source: 4, target: 0 },
+                { source: 0, target: 2 }, { source: 1, target: 3 }, { source: 2, target: 4 },
+                { source: 3, target: 0 }, { source: 4, target: 1 }
+            ],
+            directed: true,
+            name: "Graph 4: Tournament T5 (Directed)"
+        },
+        { // Graph 5: Weighted K4, the classic 4-city TSP instance (Optimal tour cost 80)
+            nodes: [
+                { id: 0 }, { id: 1 }, { id: 2 }, { id: 3 }
+            ],
+            links: [
+                { source: 0, target: 1, weight: 10 }, { source: 0, target: 2, weight: 15 },
+                { source: 0, target: 3, weight: 20 }, { source: 1, target: 2, weight: 35 },
+                { source: 1, target: 3, weight: 25 }, { source: 2, target: 3, weight: 30 }
+            ],
+            name: "Graph 5: Weighted K4 (TSP)"
         }
     ];
 
+    const STORAGE_KEY = 'hamiltonian-visualizer.graphs';
+    const SHARE_PREFIX = '#graph=';
+    const LAYOUT_MARGIN = 40;
+
     // === State Variables ===
     let currentGraphIndex = 0;
     let currentGraph;
@@ -63,22 +176,83 @@ document.addEventListener('DOMContentLoaded', () => {
     let adjMatrix = [];
     let numVertices = 0;
     let path = [];
-    let visited = [];
     let isVisualizing = false;
     let stopVisualization = false;
     let isPaused = false;
-    let stepForward = false;
+
+    // Search Settings
+    let algorithm = 'backtracking'; // 'backtracking' | 'held-karp'
+    let searchMode = 'cycle'; // 'cycle' | 'path' | 'path-fixed' | 'tsp'
+    let startVertexId = null;
+    let endVertexId = null;
+    let neighborOrder = 'index'; // 'index' | 'degree-asc' | 'degree-desc' | 'random'
+    let orderSeed = 1;
+    let findAll = false;
+    let solutions = []; // { key, path, step } for every distinct solution in the trace
+    let listedSolutions = null; // the `solutions` the panel was built from; every new trace brings a new array
+    const heuristics = { degree: false, connectivity: false, deadEnd: false, warnsdorff: false };
+
+    // Search Trace State
+    const MAX_TRACE_STEPS = 50000;
+    let trace = [];
+    let traceIndex = -1;
+    let stepLogItems = [];
+
+    // Background Computation State
+    let computeOnly = false; // run in a Web Worker and show only the result
+    let searchWorker = null;
+
+    // Held–Karp State
+    const MAX_HELD_KARP_VERTICES = 13; // n = 14 emits over MAX_TRACE_STEPS events, so its trace would be cut short
+    const MAX_WORKER_HELD_KARP_VERTICES = 18; // two 2^n x n tables; beyond this they no longer fit in memory
+    const MAX_DP_TABLE_VERTICES = 10;
+    let dpCellElements = new Map(); // `${mask}-${column}` -> <td>
+    let dpRenderedIndex = -1;
+
+    // Statistics State
+    let statsCache = null; // { index, expanded, backtracks, maxDepth, byDepth }
+    let playbackStartedAt = null;
+    let playbackEndedAt = null;
+    let elapsedTimer = null;
+
+    // Graph Analysis State
+    let analysisItems = []; // { key, title, value, explanation, highlight, alt } for the panel rows
+    let analysisSelection = null; // key of the row whose vertices are highlighted
+
+    // Verify Mode State
+    let isVerifyMode = false; // node clicks extend the proposed certificate instead of picking the start
+    let verifySequence = []; // vertex ids in the order they were clicked
+
+    // Recursion Tree State
+    const MAX_TREE_NODES = 1500;
+    let treeNodes = []; // { id, parent, path, createdAt, backtrackedAt, prunedAt, successAt }
+    let stepTreeNode = []; // trace index -> id of the tree node the search is at after that step
+    let selectedTreeNode = null;
 
     // Graph Editor State
     let isEditMode = false;
     let isDeleteMode = false;
     let editorNodes = [];
     let editorLinks = [];
-    let editorNodeCounter = 0;
+    let editorNodeCounter = 0; // next id to hand out; ids are never reused within a graph
     let selectedNodeForConnection = null;
     let selectedNodeId = null;
     let editingGraphIndex = null;
+    let editorDirected = false;
+    let editorNodesMoved = false; // whether a vertex was dragged, which makes the drawing the graph's manual layout
     let editorSimulation;
+    const MAX_EDITOR_HISTORY = 100;
+    let editorUndoStack = []; // snapshots taken before each edit
+    let editorRedoStack = [];
+    let editorSelection = new Set(); // ids of nodes picked by box selection or Ctrl+click
+    let selectionBox = null; // { origin: [x, y], rect } while a rubber band is being drawn
+
+    // Comparison State
+    // One entry per side: { key, svg, trace, messages, counts, error, logItems }.
+    const compareSides = ['a', 'b'].map(key => ({ key, svg: d3.select(`#compare-${key}-svg`), trace: [], messages: [], counts: [], error: null, logItems: [] }));
+    let compareIndex = -1;
+    let compareLength = 0;
+    let compareTimer = null;
 
     // === Helper Functions ===
 
@@ -86,11 +260,6 @@ document.addEventListener('DOMContentLoaded', () => {
 
     async function pausableSleep() {
         return new Promise(async (resolve, reject) => {
-            if (stepForward) {
-                isPaused = true;
-                stepForward = false;
-            }
-
             let waitStart = Date.now();
             let duration = 1500 - parseInt(speedSlider.value, 10);
 
@@ -112,20 +281,37 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    function logStep(message, type = 'info') {
+    const LOG_CLASSES = {
+        info: 'text-gray-700 text-sm',
+        explore: 'text-blue-600 text-sm',
+        backtrack: 'text-red-600 text-sm',
+        prune: 'text-amber-600 text-sm',
+        success: 'text-green-600 font-bold'
+    };
+
+    function logStep(message, type = 'info', stepIndex = null) {
         if (stopVisualization && type !== 'backtrack') return; 
+        const li = logNote(message, type);
+        if (stepIndex !== null) {
+            li.dataset.step = stepIndex;
+            li.classList.add('cursor-pointer', 'rounded', 'px-1', 'hover:bg-violet-100');
+        }
+        return li;
+    }
+
+    // logStep is muted while no run is active; notes about the graph itself are written regardless.
+    function logNote(message, type = 'info') {
         const li = document.createElement('li');
-        if (type === 'info') li.className = 'text-gray-700 text-sm';
-        if (type === 'explore') li.className = 'text-blue-600 text-sm';
-        if (type === 'backtrack') li.className = 'text-red-600 text-sm';
-        if (type === 'success') li.className = 'text-green-600 font-bold';
-        li.innerHTML = message;
+        if (LOG_CLASSES[type]) li.className = LOG_CLASSES[type];
+        li.textContent = message;
         stepsLog.appendChild(li);
         stepsLog.parentElement.scrollTop = stepsLog.parentElement.scrollHeight;
+        return li;
     }
 
     function clearLogs() {
         stepsLog.innerHTML = '<li class="text-gray-500 italic">Logs cleared. Ready to start.</li>';
+        stepLogItems = [];
     }
 
     function setUIState(visualizing) {
@@ -136,6 +322,31 @@ document.addEventListener('DOMContentLoaded', () => {
         createGraphBtn.disabled = visualizing;
         editGraphBtn.disabled = visualizing;
         addGraphBtn.disabled = visualizing; 
+        libraryBtn.disabled = visualizing;
+        ioBtn.disabled = visualizing;
+        generatorBtn.disabled = visualizing;
+        compareBtn.disabled = visualizing;
+        algorithmSelect.disabled = visualizing;
+        modeSelect.disabled = visualizing;
+        layoutSelect.disabled = visualizing;
+        startVertexSelect.disabled = visualizing;
+        endVertexSelect.disabled = visualizing;
+        orderSelect.disabled = visualizing;
+        orderSeedInput.disabled = visualizing;
+        findAllCheckbox.disabled = visualizing || searchMode === 'tsp' || algorithm === 'held-karp';
+        computeCheckbox.disabled = visualizing;
+        heuristicCheckboxes.forEach(cb => cb.disabled = visualizing);
+        updateVerifyControls();
+
+        if (visualizing) {
+            playbackStartedAt = Date.now();
+            playbackEndedAt = null;
+            elapsedTimer = setInterval(updateElapsed, 200);
+        } else {
+            if (playbackStartedAt !== null && playbackEndedAt === null) playbackEndedAt = Date.now();
+            clearInterval(elapsedTimer);
+            updateElapsed();
+        }
 
         if (visualizing) {
             resetBtn.classList.remove('bg-gray-500', 'hover:bg-gray-600');
@@ -150,29 +361,103 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
+    // Edges without an explicit weight count as 1. The seeded PRNG also drives the random graph family.
+    const { linkWeight, mulberry32 } = HamiltonianSolver;
+    const { LAYOUTS, serializeGraph } = GraphModel;
+    const { parseGraphText, parseJsonGraph, formatGraphText } = GraphFormats;
+
+    // Vertices are identified by id internally; students see the label when one is set.
+    function displayLabel(node) {
+        return node.label ? node.label : String(node.id);
+    }
+
+    function nodeLabel(id) {
+        const match = currentGraph && currentGraph.nodes.find(n => n.id === id);
+        return match ? displayLabel(match) : String(id);
+    }
+
+    function formatPath(ids) {
+        return ids.map(nodeLabel).join(' -> ');
+    }
+
+    function formatCost(cost) {
+        return Number.isFinite(cost) ? +cost.toFixed(2) : '∞';
+    }
+
     // Build Adjacency Matrix
     function buildAdjMatrix(graph) {
+        adjMatrix = HamiltonianSolver.buildAdjMatrix(graph).adj;
         numVertices = graph.nodes.length;
-        adjMatrix = Array(numVertices).fill(0).map(() => Array(numVertices).fill(0));
-        
-        const idToIndex = new Map(graph.nodes.map((n, i) => [n.id, i]));
-        
-        for (const link of graph.links) {
-            const srcId = (typeof link.source === 'object') ? link.source.id : link.source;
-            const tgtId = (typeof link.target === 'object') ? link.target.id : link.target;
-            
-            const srcIdx = idToIndex.get(srcId);
-            const tgtIdx = idToIndex.get(tgtId);
-            
-            if (srcIdx !== undefined && tgtIdx !== undefined) {
-                adjMatrix[srcIdx][tgtIdx] = 1;
-                adjMatrix[tgtIdx][srcIdx] = 1;
-            }
+    }
+
+    // Flags arcs whose reverse arc also exists, so both can be drawn side by side.
+    function markAntiparallel(links, directed) {
+        const keys = new Set(links.map(l => `${l.source.id}-${l.target.id}`));
+        links.forEach(l => {
+            l.antiparallel = directed && keys.has(`${l.target.id}-${l.source.id}`);
+        });
+        return links;
+    }
+
+    // Antiparallel arcs u->v and v->u would overlap, so each one is nudged to its own side.
+    function linkCoords(d) {
+        let { x: x1, y: y1 } = d.source;
+        let { x: x2, y: y2 } = d.target;
+        if (d.antiparallel) {
+            const len = Math.hypot(x2 - x1, y2 - y1) || 1;
+            const ox = -(y2 - y1) / len * 5;
+            const oy = (x2 - x1) / len * 5;
+            x1 += ox; y1 += oy; x2 += ox; y2 += oy;
         }
+        return [x1, y1, x2, y2];
+    }
+
+    function appendLinkLabels(links, root = svgEl) {
+        return root.append("g")
+            .attr("class", "link-labels")
+            .selectAll("text")
+            .data(links)
+            .enter().append("text")
+            .attr("class", "link-label")
+            .text(d => formatCost(linkWeight(d)));
+    }
+
+    function positionLinkLabels(labels) {
+        labels
+            .attr("x", d => { const [x1, , x2] = linkCoords(d); return (x1 + x2) / 2; })
+            .attr("y", d => { const [, y1, , y2] = linkCoords(d); return (y1 + y2) / 2; });
+    }
+
+    // Weights are only worth showing on weighted graphs or when the tour cost matters.
+    function updateLinkLabels() {
+        const weighted = currentGraph.links.some(l => l.weight !== undefined);
+        svgEl.selectAll('.link-label').style('display', weighted || searchMode === 'tsp' ? null : 'none');
+    }
+
+    // One arrowhead marker per link state so the tip matches the stroke colour (see style.css).
+    function appendArrowMarkers() {
+        const defs = svgEl.append("defs");
+        [
+            ['arrow', '#9ca3af'], ['arrow-active', '#ec4899'],
+            ['arrow-path', '#22c55e'], ['arrow-failed', '#ef4444']
+        ].forEach(([id, color]) => {
+            defs.append("marker")
+                .attr("id", id)
+                .attr("viewBox", "0 -5 10 10")
+                .attr("refX", 26)
+                .attr("markerUnits", "userSpaceOnUse")
+                .attr("markerWidth", 12)
+                .attr("markerHeight", 12)
+                .attr("orient", "auto")
+                .append("path")
+                .attr("d", "M0,-5L10,0L0,5")
+                .attr("fill", color);
+        });
     }
     
     // === D3 Drawing ===
     function drawGraph(graph) {
+        if (simulation) simulation.stop();
         svgEl.selectAll("*").remove(); 
         
         const width = visContainer.clientWidth;
@@ -184,13 +469,17 @@ document.addEventListener('DOMContentLoaded', () => {
         const nodes = graph.nodes.map(d => ({...d}));
         const nodeMap = new Map(nodes.map(n => [n.id, n]));
         
-        const links = graph.links.map(d => ({
+        const links = markAntiparallel(graph.links.map(d => ({
             source: nodeMap.get(typeof d.source === 'object' ? d.source.id : d.source),
-            target: nodeMap.get(typeof d.target === 'object' ? d.target.id : d.target)
-        })).filter(l => l.source && l.target); 
+            target: nodeMap.get(typeof d.target === 'object' ? d.target.id : d.target),
+            weight: d.weight
+        })).filter(l => l.source && l.target), graph.directed); 
 
-        buildAdjMatrix({ nodes, links });
+        buildAdjMatrix({ nodes, links, directed: graph.directed });
 
+        const layout = layoutOf(graph);
+        layoutSelect.value = layout;
+        const layoutNote = applyLayout(layout, nodes, width, height);
 
         simulation = d3.forceSimulation(nodes)
             .force("link", d3.forceLink(links).id(d => d.id).distance(100))
@@ -198,13 +487,21 @@ document.addEventListener('DOMContentLoaded', () => {
             .force("center", d3.forceCenter(width / 2, height / 2))
             .on("tick", ticked);
 
+        appendArrowMarkers();
+
         link = svgEl.append("g")
             .attr("class", "links")
             .selectAll("line")
             .data(links)
             .enter().append("line")
             .attr("class", "link")
-            .attr("id", d => `link-${d.source.id}-${d.target.id}`);
+            .classed("directed", !!graph.directed)
+            .attr("id", d => `link-${d.source.id}-${d.target.id}`)
+            .attr("data-link", d => `${d.source.id}-${d.target.id}`);
+
+        svgEl.append("g").attr("class", "verify-marks");
+
+        const linkLabel = appendLinkLabels(links);
 
         node = svgEl.append("g")
             .attr("class", "nodes")
@@ -212,7 +509,8 @@ document.addEventListener('DOMContentLoaded', () => {
             .data(nodes)
             .enter().append("g")
             .attr("class", "node")
-            .attr("id", d => `node-${d.id}`);
+            .attr("id", d => `node-${d.id}`)
+            .attr("data-node", d => d.id);
             
         // --- MODIFICATION HERE ---
         node.append("circle")
@@ -220,19 +518,22 @@ document.addEventListener('DOMContentLoaded', () => {
         // --- END MODIFICATION ---
         
         node.append("text")
-            .text(d => d.id);
+            .text(displayLabel);
         
         node.call(d3.drag()
             .on("start", dragstarted)
             .on("drag", dragged)
-            .on("end", dragended));
+            .on("end", dragended))
+            .on("click", (event, d) => handleNodeClick(d.id));
 
         function ticked() {
             link
-                .attr("x1", d => d.source.x)
-                .attr("y1", d => d.source.y)
-                .attr("x2", d => d.target.x)
-                .attr("y2", d => d.target.y);
+                .attr("x1", d => linkCoords(d)[0])
+                .attr("y1", d => linkCoords(d)[1])
+                .attr("x2", d => linkCoords(d)[2])
+                .attr("y2", d => linkCoords(d)[3]);
+            positionLinkLabels(linkLabel);
+            positionVerifyMarks();
             node
                 .attr("transform", d => `translate(${d.x},${d.y})`);
         }
@@ -248,10 +549,20 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         function dragended(event, d) {
             if (!event.active) simulation.alphaTarget(0);
-            d.fx = null;
-            d.fy = null;
+            if (layoutOf(graph) === 'force') {
+                d.fx = null;
+                d.fy = null;
+                return;
+            }
+            // In a fixed layout a dragged node stays put; the drawing becomes the graph's manual layout.
+            saveManualLayout(graph, nodes);
         }
         
+        populateVertexSelects(graph);
+        updateLinkLabels();
+        updateAnalysis();
+        resetVerification();
+
         graphTitle.textContent = graph.name;
         if (!isEditMode) {
             editGraphBtn.classList.remove('hidden');
@@ -259,108 +570,277 @@ document.addEventListener('DOMContentLoaded', () => {
         
         clearLogs();
         resetAlgorithmState();
+        if (layoutNote) logNote(layoutNote, 'prune');
+    }
+
+    function populateVertexSelects(graph) {
+        [startVertexSelect, endVertexSelect].forEach(select => {
+            select.replaceChildren(...graph.nodes.map(n => new Option(displayLabel(n), n.id)));
+        });
+
+        const ids = graph.nodes.map(n => n.id);
+        if (!ids.includes(startVertexId)) startVertexId = ids.length > 0 ? ids[0] : null;
+        if (!ids.includes(endVertexId)) endVertexId = ids.length > 0 ? ids[ids.length - 1] : null;
+        startVertexSelect.value = startVertexId;
+        endVertexSelect.value = endVertexId;
+        markStartVertex();
+    }
+
+    function setStartVertex(id) {
+        if (isVisualizing || isEditMode) return;
+        startVertexId = id;
+        startVertexSelect.value = id;
+        markStartVertex();
+        resetAlgorithmState();
+    }
+
+    function markStartVertex() {
+        if (node) node.classed('start-vertex', d => d.id === startVertexId);
+    }
+
+    // Select values are strings; map them back onto the node ids of the current graph.
+    function vertexIdFromSelect(select) {
+        const match = currentGraph.nodes.find(n => String(n.id) === select.value);
+        return match ? match.id : null;
+    }
+
+    // === Layouts ===
+    // Graphs without a stored choice use their saved positions when every vertex has one.
+    function layoutOf(graph) {
+        if (LAYOUTS.includes(graph.layout)) return graph.layout;
+        const positioned = graph.nodes.length > 0 && graph.nodes.every(n => Number.isFinite(n.x) && Number.isFinite(n.y));
+        return positioned ? 'manual' : 'force';
+    }
+
+    function pinNode(d, x, y) {
+        d.x = d.fx = x;
+        d.y = d.fy = y;
+    }
+
+    // Pins `nodes` (already in adjacency-matrix order) for every layout except force, which
+    // is left to the simulation. Returns a note for the log when the layout had to fall back.
+    function applyLayout(layout, nodes, width, height) {
+        const n = nodes.length;
+        const innerWidth = Math.max(width - 2 * LAYOUT_MARGIN, 0);
+        const innerHeight = Math.max(height - 2 * LAYOUT_MARGIN, 0);
+        const spread = (count, i, span) => (count === 1 ? span / 2 : (span * i) / (count - 1));
+
+        if (layout === 'force') {
+            nodes.forEach(d => { d.fx = null; d.fy = null; });
+            return null;
+        }
+
+        if (layout === 'grid') {
+            const cols = Math.ceil(Math.sqrt(n));
+            const rows = Math.ceil(n / cols);
+            nodes.forEach((d, i) => pinNode(d,
+                LAYOUT_MARGIN + spread(cols, i % cols, innerWidth),
+                LAYOUT_MARGIN + spread(rows, Math.floor(i / cols), innerHeight)));
+            return null;
+        }
+
+        if (layout === 'bipartite') {
+            const { sides } = GraphAnalysis.bipartition(adjMatrix);
+            if (sides) {
+                [0, 1].forEach(side => {
+                    const column = nodes.filter((_, i) => sides[i] === side);
+                    column.forEach((d, i) => pinNode(d,
+                        LAYOUT_MARGIN + innerWidth * (side === 0 ? 0.2 : 0.8),
+                        LAYOUT_MARGIN + spread(column.length, i, innerHeight)));
+                });
+                return null;
+            }
+            applyLayout('circular', nodes, width, height);
+            return "This graph has an odd cycle, so it is not bipartite. Showing the circular layout instead.";
+        }
+
+        if (layout === 'manual') {
+            const placed = nodes.filter(d => Number.isFinite(d.x) && Number.isFinite(d.y));
+            nodes.filter(d => !placed.includes(d)).forEach(d => pinNode(d, width / 2, height / 2));
+            if (placed.length === 0) return null;
+            // Scale down (never up) so positions saved on a larger canvas stay visible.
+            const [xMin, xMax] = d3.extent(placed, d => d.x);
+            const [yMin, yMax] = d3.extent(placed, d => d.y);
+            const fits = xMin >= LAYOUT_MARGIN && yMin >= LAYOUT_MARGIN && xMax <= width - LAYOUT_MARGIN && yMax <= height - LAYOUT_MARGIN;
+            const scale = fits ? 1 : Math.min(1, innerWidth / Math.max(xMax - xMin, 1), innerHeight / Math.max(yMax - yMin, 1));
+            const dx = fits ? 0 : LAYOUT_MARGIN + (innerWidth - (xMax - xMin) * scale) / 2 - xMin * scale;
+            const dy = fits ? 0 : LAYOUT_MARGIN + (innerHeight - (yMax - yMin) * scale) / 2 - yMin * scale;
+            placed.forEach(d => pinNode(d, d.x * scale + dx, d.y * scale + dy));
+            return null;
+        }
+
+        // circular
+        const radius = Math.min(innerWidth, innerHeight) / 2;
+        nodes.forEach((d, i) => {
+            const angle = (2 * Math.PI * i) / n - Math.PI / 2;
+            pinNode(d, width / 2 + radius * Math.cos(angle), height / 2 + radius * Math.sin(angle));
+        });
+        return null;
+    }
+
+    function saveManualLayout(graph, drawnNodes) {
+        const drawn = new Map(drawnNodes.map(d => [d.id, d]));
+        graph.nodes.forEach(n => {
+            const d = drawn.get(n.id);
+            if (!d) return;
+            n.x = Math.round((d.fx ?? d.x) * 10) / 10;
+            n.y = Math.round((d.fy ?? d.y) * 10) / 10;
+        });
+        graph.layout = 'manual';
+        layoutSelect.value = 'manual';
+        saveGraphs();
+    }
+
+    // Fits the current drawing to a new canvas size without re-running the layout from scratch,
+    // so a resize never reshuffles the graph or throws away a finished run.
+    function resizeCanvas() {
+        const width = visContainer.clientWidth;
+        const height = visContainer.clientHeight;
+        svgEl.attr("viewBox", [0, 0, width, height]);
+        if (!simulation || !currentGraph) return;
+
+        const layout = layoutOf(currentGraph);
+        if (layout === 'force') {
+            simulation.force("center", d3.forceCenter(width / 2, height / 2));
+        } else {
+            const nodes = simulation.nodes();
+            if (layout === 'manual') {
+                const saved = new Map(currentGraph.nodes.map(n => [n.id, n]));
+                nodes.forEach(d => { d.x = saved.get(d.id).x; d.y = saved.get(d.id).y; });
+            }
+            applyLayout(layout, nodes, width, height);
+        }
+        simulation.alpha(0.3).restart();
     }
 
     // === Visualization & Highlighting ===
-    function highlightNode(id, className = 'visited') {
-        d3.select(`#node-${id}`).classed(className, true);
+    // Every helper takes the svg to draw on, so the comparison view can light up its own copies
+    // of the graph. Elements are found by their data-node / data-link attributes within `root`.
+    function highlightNode(id, className = 'visited', root = svgEl) {
+        root.select(`[data-node="${id}"]`).classed(className, true);
     }
     
-    function unhighlightNode(id, className = 'visited') {
-        d3.select(`#node-${id}`).classed(className, false);
+    function unhighlightNode(id, className = 'visited', root = svgEl) {
+        root.select(`[data-node="${id}"]`).classed(className, false);
     }
     
-    function highlightEdge(u, v, className = 'active') {
-        d3.select(`#link-${u}-${v}`).classed(className, true);
-        d3.select(`#link-${v}-${u}`).classed(className, true);
+    // In a directed graph only the arc u -> v is lit; otherwise the edge may be stored either way round.
+    function highlightEdge(u, v, className = 'active', root = svgEl) {
+        root.select(`[data-link="${u}-${v}"]`).classed(className, true);
+        if (!currentGraph.directed) root.select(`[data-link="${v}-${u}"]`).classed(className, true);
     }
 
-    function unhighlightEdge(u, v, className = 'active') {
-        d3.select(`#link-${u}-${v}`).classed(className, false);
-        d3.select(`#link-${v}-${u}`).classed(className, false);
+    function unhighlightEdge(u, v, className = 'active', root = svgEl) {
+        root.select(`[data-link="${u}-${v}"]`).classed(className, false);
+        if (!currentGraph.directed) root.select(`[data-link="${v}-${u}"]`).classed(className, false);
     }
     
-    function showFinalPath() {
-        const idToIndex = new Map(currentGraph.nodes.map((n, i) => [n.id, i]));
-        const pathIndices = path.map(id => idToIndex.get(id));
-
-        for (let i = 0; i < pathIndices.length - 1; i++) {
-            const u = path[i];
-            const v = path[i+1];
-            highlightEdge(u, v, 'path');
-            highlightNode(u, 'path');
+    function showFinalPath(ids = path, root = svgEl) {
+        for (let i = 0; i < ids.length - 1; i++) {
+            highlightEdge(ids[i], ids[i + 1], 'path', root);
+            highlightNode(ids[i], 'path', root);
         }
-        const lastNode = path[path.length - 1];
-        const firstNode = path[0];
-        highlightEdge(lastNode, firstNode, 'path');
-        highlightNode(lastNode, 'path');
+        const lastNode = ids[ids.length - 1];
+        const firstNode = ids[0];
+        if (isTourMode()) highlightEdge(lastNode, firstNode, 'path', root);
+        highlightNode(lastNode, 'path', root);
     }
     
-    function showFailureState() {
-        if (node) {
-            node.classed('failed', true);
-        }
-        if (link) {
-            link.classed('failed', true);
-        }
+    function showFailureState(root = svgEl) {
+        root.selectAll('.node').classed('failed', true);
+        root.selectAll('.link').classed('failed', true);
+    }
+
+    function clearHighlights(root = svgEl) {
+        root.selectAll('.node').classed('visited', false).classed('current', false).classed('path', false).classed('failed', false).classed('missing', false);
+        root.selectAll('.verify-mark').remove();
+        root.selectAll('.link').classed('active', false).classed('path', false).classed('failed', false).classed('best', false).classed('pruned', false);
     }
 
     // === Algorithm Logic ===
+    // Modes whose solutions close back to the start vertex.
+    function isTourMode() {
+        return searchMode === 'cycle' || searchMode === 'tsp';
+    }
+
     function resetAlgorithmState() {
+        stopWorker();
         stopVisualization = true; 
         isPaused = false;
-        stepForward = false;
         path = [];
+        trace = [];
+        traceIndex = -1;
+        solutions = [];
         
-        if (node) node.classed('visited', false).classed('current', false).classed('path', false).classed('failed', false);
-        if (link) link.classed('active', false).classed('path', false).classed('failed', false);
+        clearHighlights();
+        if (isVerifyMode) showProposal();
+        updateTimeline();
+        updateSolutionsPanel();
+        updateBestTourPanel(null);
+        updatePruneCounters(null);
+        resetDpTable();
+        statsCache = null;
+        playbackStartedAt = null;
+        updateStatsPanel();
+        treeNodes = [];
+        stepTreeNode = [];
+        updateRecursionTree();
         
         setUIState(false);
     }
 
+    // The settings a run depends on. The main panel's live in the globals; the comparison view
+    // builds one of these per side instead.
+    function runSettings() {
+        return { algorithm, order: neighborOrder, findAll, computeOnly, heuristics: { ...heuristics } };
+    }
+
+    // Why the settings cannot be run, or null when they can.
+    function runProblem(settings = runSettings()) {
+        const { algorithm, computeOnly } = settings;
+        if (numVertices === 0) return "Graph is empty. Add nodes and links.";
+        if (searchMode === 'path-fixed' && numVertices > 1 && startVertexId === endVertexId) {
+            return "Start and end vertex must be different.";
+        }
+        if (algorithm === 'held-karp' && !isTourMode()) {
+            return "Held–Karp solves the cycle and TSP problems. Pick one of those or use backtracking.";
+        }
+        const heldKarpLimit = computeOnly ? MAX_WORKER_HELD_KARP_VERTICES : MAX_HELD_KARP_VERTICES;
+        if (algorithm === 'held-karp' && numVertices > heldKarpLimit) {
+            return computeOnly
+                ? `Held–Karp needs 2^n table rows; computing supports up to ${heldKarpLimit} vertices.`
+                : `Held–Karp needs 2^n table rows; this view supports up to ${heldKarpLimit} vertices. Try "Compute result only".`;
+        }
+        return null;
+    }
+
     async function startVisualization() {
-        if (numVertices === 0) {
-            logStep("Graph is empty. Add nodes and links.", "backtrack");
+        const problem = runProblem();
+        if (problem) {
+            logStep(problem, "backtrack");
             return;
         }
 
         stopVisualization = false;
         isPaused = false;
-        stepForward = false;
         setUIState(true);
         clearLogs();
+        clearHighlights();
+        selectAnalysisItem(null);
 
-        if (node) node.classed('visited', false).classed('current', false).classed('path', false).classed('failed', false);
-        if (link) link.classed('active', false).classed('path', false).classed('failed', false);
-        
-        const nodes = currentGraph.nodes;
-        const idToIndex = new Map(nodes.map((n, i) => [n.id, i]));
-        const indexToId = new Map(nodes.map((n, i) => [i, n.id]));
-        
-        path = [];
-        visited = Array(numVertices).fill(false);
-        
-        const startNodeId = indexToId.get(0);
-        path.push(startNodeId);
-        visited[0] = true;
-        
-        logStep(`Starting from node ${startNodeId}`, "info");
+        if (computeOnly) {
+            computeInWorker();
+            return;
+        }
         
         try {
-            highlightNode(startNodeId, 'visited');
-            await pausableSleep(); 
-
-            const foundCycle = await findHamiltonianCycleUtil(0, idToIndex, indexToId);
+            recordTrace(buildTrace());
+            if (algorithm === 'held-karp') buildDpTable();
+            buildRecursionTree();
+            traceIndex = -1;
 
-            if (stopVisualization) {
-                // handled by 'stopped' error
-            } else if (foundCycle) {
-                logStep("Hamiltonian Cycle Found!", "success");
-                showFinalPath();
-            } else {
-                logStep("No Hamiltonian Cycle found.", "backtrack");
-                showFailureState(); 
-            }
+            showStep(0);
+            await playTrace();
             
             setUIState(false); 
 
@@ -376,181 +856,1147 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    async function findHamiltonianCycleUtil(u_idx, idToIndex, indexToId) {
-        if (stopVisualization) throw 'stopped';
-        
-        const u_id = indexToId.get(u_idx);
-
-        if (path.length === numVertices) {
-            if (adjMatrix[u_idx][0] === 1) {
-                const startNodeId = indexToId.get(0);
-                logStep(`Found edge from last node ${u_id} to start node ${startNodeId}. Cycle!`, "success");
-                highlightEdge(u_id, startNodeId, 'active');
-                await pausableSleep(); 
-                return true; 
-            }
-            return false;
-        }
-
-        for (let v_idx = 0; v_idx < numVertices; v_idx++) {
-            if (adjMatrix[u_idx][v_idx] === 1 && !visited[v_idx]) {
-                if (stopVisualization) throw 'stopped';
-
-                const v_id = indexToId.get(v_idx);
-                logStep(`Exploring edge ${u_id} -> ${v_id}`, "explore");
-                highlightEdge(u_id, v_id, 'active');
-                highlightNode(v_id, 'current');
-                await pausableSleep(); 
-                
-                visited[v_idx] = true;
-                path.push(v_id);
-                highlightNode(v_id, 'visited');
-                unhighlightNode(v_id, 'current');
-                
-                if (await findHamiltonianCycleUtil(v_idx, idToIndex, indexToId)) {
-                    return true;
-                }
+    // Runs the whole search up front and collects every step. The player below replays the
+    // trace, which is what makes stepping backward possible.
+    function buildTrace(settings = runSettings()) {
+        const options = searchOptions(settings);
+        const steps = settings.algorithm === 'held-karp'
+            ? HamiltonianSolver.heldKarp(currentGraph, options)
+            : HamiltonianSolver.search(currentGraph, options);
+        return collectTrace(steps, settings);
+    }
 
-                if (stopVisualization) throw 'stopped';
-                logStep(`Backtracking from ${v_id}. Removing edge ${u_id} -> ${v_id}`, "backtrack");
-                unhighlightEdge(u_id, v_id, 'active');
-                unhighlightNode(v_id, 'visited');
-                path.pop();
-                visited[v_idx] = false;
-                await pausableSleep(); 
-            }
+    function searchOptions(settings = runSettings()) {
+        return {
+            mode: searchMode, start: startVertexId, end: endVertexId, findAll: settings.findAll,
+            heuristics: settings.heuristics, order: settings.order, seed: orderSeed, maxSteps: MAX_TRACE_STEPS
+        };
+    }
+
+    // Subscribes to the solver's step events. Solutions are indexed by the step that found them
+    // so the side panel can list only those reached so far.
+    function collectTrace(steps, settings) {
+        const collected = [];
+        const found = [];
+        for (const step of steps) {
+            if (step.solution !== undefined && !step.duplicate) found.push({ path: step.path, step: collected.length });
+            collected.push(step);
         }
-        
-        unhighlightNode(u_id, 'current');
-        return false;
+        collected[collected.length - 1].choices = describeChoices(settings);
+        return { trace: collected, solutions: found };
     }
 
+    // Hands a collected trace to the player.
+    function recordTrace(collected) {
+        ({ trace, solutions } = collected);
+        path = trace[trace.length - 1].path.slice();
+    }
 
-    // === Graph Editor Functions ===
-    function enterEditMode(existingGraph = null, graphIndex = null) {
-        isEditMode = true;
-        isDeleteMode = false;
-        selectedNodeForConnection = null;
-        selectedNodeId = null;
-        editingGraphIndex = graphIndex;
-        
-        if (existingGraph) {
-            editorNodes = existingGraph.nodes.map(n => ({...n}));
-            const nodeMap = new Map(editorNodes.map(n => [n.id, n]));
-            editorLinks = existingGraph.links.map(l => {
-                const srcId = typeof l.source === 'object' ? l.source.id : l.source;
-                const tgtId = typeof l.target === 'object' ? l.target.id : l.target;
-                return {
-                    source: nodeMap.get(srcId),
-                    target: nodeMap.get(tgtId)
-                };
-            }).filter(l => l.source && l.target);
-        } else {
-            editorNodes = [];
-            editorLinks = [];
+    // === Background Computation ===
+    // "Compute result only" hands the search to solver-worker.js. Nothing is traced or animated:
+    // the worker reports progress a few times a second and finally the solver's 'done' event,
+    // which is then shown as a one-step trace.
+    function computeInWorker() {
+        try {
+            searchWorker = new Worker('solver-worker.js');
+        } catch (err) {
+            setUIState(false);
+            logStep("The background worker could not be started. Browsers block workers on pages opened from file://, so serve the folder over HTTP.", "backtrack");
+            return;
         }
-        
-        // Update UI
-        createGraphBtn.classList.remove('hidden'); 
-        addGraphBtn.classList.add('hidden'); 
 
-        startBtn.disabled = true;
-        resetBtn.disabled = true; 
-        prevBtn.style.display = 'none';
-        nextBtn.style.display = 'none';
-        editGraphBtn.classList.add('hidden');
-        deleteBtn.classList.remove('hidden');
-        deleteBtn.classList.remove('bg-red-600');
-        deleteBtn.classList.add('bg-red-500');
-        deleteBtn.innerHTML = `
-            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 inline-block mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
-                <path stroke-linecap="round" stroke-linejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-            </svg>
-            Delete Mode`;
-        graphTitle.textContent = existingGraph ? `Editing: ${existingGraph.name}` : 'Graph Editor - Click to add nodes';
-        
-        svgEl.selectAll("*").remove();
-        drawEditorGraph();
-        
-        svgEl.on('click', handleEditorClick);
+        const progressItem = logStep("Computing in the background...", "info");
+        searchWorker.onmessage = (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                progressItem.textContent = `Computing... ${message.expanded.toLocaleString()} nodes expanded (${Math.round(message.rate).toLocaleString()} per second)`;
+                showWorkerStats(message, message.depth);
+            } else if (message.type === 'result') {
+                stopWorker();
+                progressItem.textContent = `Computed in ${(message.elapsed / 1000).toFixed(1)} s: ${message.expanded.toLocaleString()} nodes expanded.`;
+                showComputedResult(message);
+            }
+        };
+        searchWorker.onerror = (e) => {
+            e.preventDefault();
+            stopWorker();
+            setUIState(false);
+            logStep(`The background computation failed: ${e.message}`, "backtrack");
+        };
+        searchWorker.postMessage({
+            graph: { nodes: currentGraph.nodes.map(n => ({ id: n.id })), links: currentGraph.links, directed: !!currentGraph.directed },
+            algorithm,
+            options: { ...searchOptions(), maxSteps: Infinity }
+        });
     }
-    
-    function exitEditMode() {
-        isEditMode = false;
-        isDeleteMode = false;
-        
-        // Update UI
-        createGraphBtn.classList.add('hidden'); 
-        addGraphBtn.classList.remove('hidden'); 
-        startBtn.disabled = false;
-        resetBtn.disabled = false; 
-        prevBtn.style.display = 'block';
-        nextBtn.style.display = 'block';
-        deleteBtn.classList.add('hidden');
-        editGraphBtn.classList.remove('hidden');
-        
-        svgEl.on('click', null);
-        
-        const shouldSave = (editingGraphIndex !== null) || (editorNodes.length > 0);
 
-        if (shouldSave) {
-            const savedGraph = {
-                nodes: editorNodes.map(n => ({ id: n.id })), 
-                links: editorLinks.map(l => ({
-                    source: typeof l.source === 'object' ? l.source.id : l.source,
-                    target: typeof l.target === 'object' ? l.target.id : l.target
-                })),
-                name: editingGraphIndex !== null ? graphs[editingGraphIndex].name : `Custom Graph ${graphs.length + 1}`
-            };
-            
-            if (editingGraphIndex !== null) {
-                graphs[editingGraphIndex] = savedGraph;
-                currentGraphIndex = editingGraphIndex;
-            } else {
-                graphs.push(savedGraph);
-                currentGraphIndex = graphs.length - 1;
-            }
-            drawGraph(savedGraph);
-        } else {
-            if (graphs.length > 0) {
-                 drawGraph(graphs[currentGraphIndex]);
-            } else {
-                svgEl.selectAll("*").remove();
-                graphTitle.textContent = "No graphs available";
+    function stopWorker() {
+        if (!searchWorker) return;
+        searchWorker.terminate();
+        searchWorker = null;
+    }
+
+    function showComputedResult(message) {
+        recordTrace(collectTrace([message.done], runSettings()));
+        solutions = message.done.solutions.map(ids => ({ path: ids, step: 0 }));
+        traceIndex = -1;
+        setUIState(false);
+        stopVisualization = false;
+        showStep(0);
+        showWorkerStats(message, message.done.path.length);
+    }
+
+    // The one-step trace has nothing to count, so the panel shows the worker's totals instead.
+    function showWorkerStats(totals, pathLength) {
+        statExpanded.textContent = totals.expanded;
+        statBacktracks.textContent = totals.backtracks;
+        statMaxDepth.textContent = totals.maxDepth;
+        statPathLength.textContent = pathLength;
+    }
+
+    // === Held–Karp DP Table ===
+    function formatSubset(ids) {
+        return `{${ids.map(nodeLabel).join(',')}}`;
+    }
+
+    function buildDpTable() {
+        resetDpTable();
+        if (numVertices > MAX_DP_TABLE_VERTICES) {
+            dpTableContainer.innerHTML = `<p class="text-gray-500 italic p-2">The table is only drawn for graphs with up to ${MAX_DP_TABLE_VERTICES} vertices.</p>`;
+            return;
+        }
+
+        // The solver lists the vertices in DP position order on its first step; column j is position j.
+        const nodeById = new Map(currentGraph.nodes.map(n => [n.id, n]));
+        const columns = trace[0].order.slice(1).map(id => nodeById.get(id));
+        const table = document.createElement('table');
+        table.className = 'w-full text-center border-collapse';
+        const thead = document.createElement('thead');
+        thead.className = 'sticky top-0 bg-violet-100';
+        const headRow = document.createElement('tr');
+        ['Subset', ...columns.map(displayLabel)].forEach((text, i) => {
+            const th = document.createElement('th');
+            th.className = i === 0 ? 'px-2 py-1 text-left' : 'px-2 py-1';
+            th.textContent = text;
+            headRow.appendChild(th);
+        });
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        const rows = new Map();
+        trace.filter(step => step.type === 'dp-cell').forEach(step => {
+            if (!rows.has(step.mask)) {
+                const tr = document.createElement('tr');
+                const subsetCell = document.createElement('td');
+                subsetCell.className = 'px-2 py-1 text-left font-mono whitespace-nowrap';
+                subsetCell.textContent = formatSubset(step.subset);
+                tr.appendChild(subsetCell);
+                columns.forEach((n, i) => {
+                    const td = document.createElement('td');
+                    td.className = 'px-2 py-1 border border-white/60';
+                    if (!(step.mask & (1 << (i + 1)))) {
+                        td.textContent = '-';
+                        td.classList.add('text-gray-300');
+                    }
+                    tr.appendChild(td);
+                    dpCellElements.set(`${step.mask}-${i + 1}`, td);
+                });
+                rows.set(step.mask, tr);
+                tbody.appendChild(tr);
             }
+        });
+        table.appendChild(tbody);
+        dpTableContainer.innerHTML = '';
+        dpTableContainer.appendChild(table);
+    }
+
+    function resetDpTable() {
+        dpCellElements = new Map();
+        dpRenderedIndex = -1;
+        dpPanel.classList.toggle('hidden', algorithm !== 'held-karp');
+        dpTableContainer.innerHTML = `<p class="text-gray-500 italic p-2">Click 'Start' to fill the table...</p>`;
+    }
+
+    // Fills (or, when stepping back, empties) the cells between the last rendered step and the current one.
+    function updateDpTable() {
+        if (dpCellElements.size === 0) return;
+
+        const low = Math.min(dpRenderedIndex, traceIndex);
+        const high = Math.max(dpRenderedIndex, traceIndex);
+        for (let i = Math.max(low + 1, 0); i <= high; i++) {
+            const step = trace[i];
+            if (step.type !== 'dp-cell') continue;
+            const td = dpCellElements.get(`${step.mask}-${step.column}`);
+            const filled = i <= traceIndex;
+            td.textContent = filled ? formatCost(step.value) : '';
+            td.title = filled && step.via !== null ? `via ${nodeLabel(step.via)}` : '';
+            td.classList.toggle('bg-violet-100', filled);
+        }
+        dpRenderedIndex = traceIndex;
+
+        dpTableContainer.querySelectorAll('td.bg-amber-200').forEach(td => td.classList.remove('bg-amber-200'));
+        const step = trace[traceIndex];
+        if (step && (step.type === 'dp-cell' || step.type === 'dp-reconstruct')) {
+            const td = dpCellElements.get(`${step.mask}-${step.column}`);
+            td.classList.add('bg-amber-200');
+            td.scrollIntoView({ block: 'nearest', inline: 'nearest' });
         }
+    }
 
-        editingGraphIndex = null;
+    // === Trace Player ===
+    // `settings` are those the step was traced with; only the final summary depends on them.
+    function describeStep(step, settings = runSettings()) {
+        switch (step.type) {
+            case 'start':
+                return [`Starting from node ${nodeLabel(step.to)}`, 'info'];
+            case 'explore': {
+                const onward = step.onward !== undefined ? ` (Warnsdorff: ${step.onward} onward moves)` : '';
+                return [`Exploring edge ${formatPath([step.from, step.to])}${costNote(step)}${onward}`, 'explore'];
+            }
+            case 'visit':
+                return [`Visiting node ${nodeLabel(step.to)}. Path: ${formatPath(step.path)}${costNote(step)}`, 'explore'];
+            case 'prune':
+                return [describePrune(step), 'prune'];
+            case 'tour-found':
+                return [`Tour closed via ${formatPath([step.from, step.to])} with cost ${formatCost(step.cost)}. New best tour!`, 'success'];
+            case 'dp-cell': {
+                const cell = `dp[${formatSubset(step.subset)}][${nodeLabel(step.to)}]`;
+                if (step.value === Infinity) return [`${cell} = ∞ (no path ends there)`, 'info'];
+                return step.subset.length === 1
+                    ? [`${cell} = w(${nodeLabel(step.path[0])}, ${nodeLabel(step.to)}) = ${formatCost(step.value)}`, 'explore']
+                    : [`${cell} = ${formatCost(step.value)} via ${nodeLabel(step.via)}`, 'explore'];
+            }
+            case 'dp-close':
+                if (step.value === Infinity) return [`Closing at ${nodeLabel(step.from)}: no tour back to ${nodeLabel(step.to)}.`, 'info'];
+                return [`Closing at ${nodeLabel(step.from)}: tour cost ${formatCost(step.value)}${step.improved ? '. Best so far!' : ''}`, step.improved ? 'success' : 'explore'];
+            case 'dp-reconstruct':
+                return [`Reconstructing: dp[${formatSubset(step.subset)}][${nodeLabel(step.to)}] came from ${nodeLabel(step.via)}`, 'info'];
+            case 'backtrack':
+                return [`Backtracking from ${nodeLabel(step.to)}. Removing edge ${formatPath([step.from, step.to])}`, 'backtrack'];
+            case 'cycle-found':
+                return describeSolutionStep(step, `Found edge from last node ${nodeLabel(step.from)} to start node ${nodeLabel(step.to)}. Cycle`);
+            case 'path-found':
+                return describeSolutionStep(step, `All ${step.path.length} nodes visited, ending at node ${nodeLabel(step.to)}. Path`);
+            case 'done': {
+                const [message, logType] = describeOutcome(step, settings);
+                return [step.choices ? `${message} ${step.choices}` : message, logType];
+            }
+        }
     }
-    
-    function handleEditorClick(event) {
-        if (isEditMode && !isDeleteMode && !event.defaultPrevented) {
-            
-            const [x, y] = d3.pointer(event, svgEl.node());
-            
-            const maxId = editorNodes.length > 0 
-                ? Math.max(...editorNodes.map(n => n.id)) 
-                : -1;
-            const newId = maxId + 1;
-            
-            const newNode = {
-                id: newId,
-                x: x, y: y,
-                fx: x, fy: y 
-            };
-            editorNodes.push(newNode);
-            drawEditorGraph();
+
+    function describeOutcome(step, settings) {
+        if (step.truncated) return [`Search stopped after ${MAX_TRACE_STEPS} steps. Graph is too large to trace.`, 'backtrack'];
+        if (searchMode === 'tsp') {
+            return step.found
+                ? [`Optimal tour: ${formatTour(step.best.path)} with cost ${formatCost(step.best.cost)}.`, 'success']
+                : ["No tour exists: the graph has no Hamiltonian Cycle.", 'backtrack'];
+        }
+        const problem = searchMode === 'cycle' ? 'Hamiltonian Cycle'
+            : searchMode === 'path' ? 'Hamiltonian Path'
+            : `Hamiltonian Path from ${nodeLabel(startVertexId)} to ${nodeLabel(endVertexId)}`;
+        if (settings.findAll) {
+            return [`${problem}: ${step.count} distinct solution${step.count === 1 ? '' : 's'} found.`,
+                step.found ? 'success' : 'backtrack'];
         }
+        return step.found
+            ? [`${problem} Found!`, 'success']
+            : [`No ${problem} found.`, 'backtrack'];
     }
-    
-    function deleteNode(nodeId) {
-        editorNodes = editorNodes.filter(n => n.id !== nodeId);
-        
-        editorLinks = editorLinks.filter(l => {
-            const src = typeof l.source === 'object' ? l.source.id : l.source;
-            const tgt = typeof l.target === 'object' ? l.target.id : l.target;
-            return src !== nodeId && tgt !== nodeId;
+
+    // The start vertex and neighbor order change the search tree a lot, so the summary names them.
+    function describeChoices(settings) {
+        const start = searchMode === 'path' ? `Tried start vertices beginning with ${nodeLabel(startVertexId)}` : `Started at ${nodeLabel(startVertexId)}`;
+        if (settings.algorithm === 'held-karp') return `${start}.`;
+        const order = {
+            'index': 'by index',
+            'degree-asc': 'by ascending degree',
+            'degree-desc': 'by descending degree',
+            'random': `in random order (seed ${orderSeed})`
+        }[settings.order];
+        const warnsdorff = settings.heuristics.warnsdorff ? ', then by Warnsdorff\'s rule' : '';
+        return `${start}, neighbors tried ${order}${warnsdorff}.`;
+    }
+
+    function describePrune(step) {
+        const vertices = step.vertices ? step.vertices.map(nodeLabel).join(', ') : '';
+        const edge = step.from !== undefined ? formatPath([step.from, step.to]) : '';
+        switch (step.heuristic) {
+            case 'bound':
+                return step.closing
+                    ? `Closing edge ${edge} gives cost ${formatCost(step.cost)}, not better than ${formatCost(step.bound)}. Pruned.`
+                    : `Pruning edge ${edge}: cost ${formatCost(step.cost)} already reaches best tour ${formatCost(step.bound)}.`;
+            case 'degree':
+                return isTourMode()
+                    ? `Degree check: node(s) ${vertices} cannot be both entered and left (degree < 2), so no cycle exists.`
+                    : `Degree check: node(s) ${vertices} have no edges, so no path exists.`;
+            case 'connectivity':
+                return `Pruning edge ${edge}: node(s) ${vertices} could no longer be reached.`;
+            case 'deadEnd':
+                return `Pruning edge ${edge}: node(s) ${vertices} would run out of free neighbors.`;
+        }
+    }
+
+    function costNote(step) {
+        return searchMode === 'tsp' ? ` (cost ${formatCost(step.cost)})` : '';
+    }
+
+    function formatTour(ids) {
+        return formatPath([...ids, ids[0]]);
+    }
+
+    function describeSolutionStep(step, message) {
+        if (step.solution === undefined) return [`${message}!`, 'success'];
+        if (step.duplicate) return [`${message}, but it is solution #${step.solution + 1} reversed. Skipping.`, 'info'];
+        return [`${message} #${step.solution + 1}!`, 'success'];
+    }
+
+    function renderStep(step) {
+        updateBestTourPanel(step);
+        path = step.path.slice();
+
+        paintStep(step, svgEl);
+    }
+
+    // Draws one trace step onto `root`. It only reads the step, so any svg showing the current graph can use it.
+    function paintStep(step, root) {
+        clearHighlights(root);
+
+        if (step.best && step.type !== 'done') {
+            const tour = step.best.path;
+            tour.forEach((id, i) => highlightEdge(id, tour[(i + 1) % tour.length], 'best', root));
+        }
+
+        step.path.forEach((id, i) => {
+            highlightNode(id, 'visited', root);
+            if (i > 0) highlightEdge(step.path[i - 1], id, 'active', root);
+        });
+
+        if (step.type === 'explore') {
+            highlightEdge(step.from, step.to, 'active', root);
+            highlightNode(step.to, 'current', root);
+        } else if (step.type === 'cycle-found' || step.type === 'tour-found') {
+            highlightEdge(step.from, step.to, 'active', root);
+        } else if (step.type === 'dp-cell' || step.type === 'dp-reconstruct') {
+            step.subset.forEach(id => highlightNode(id, 'visited', root));
+            highlightNode(step.to, 'current', root);
+        } else if (step.type === 'dp-close') {
+            if (step.value < Infinity) highlightEdge(step.from, step.to, 'active', root);
+        } else if (step.type === 'prune') {
+            if (step.from !== undefined) highlightEdge(step.from, step.to, 'pruned', root);
+            (step.vertices || []).forEach(id => highlightNode(id, 'failed', root));
+        } else if (step.type === 'done') {
+            if (step.found) showFinalPath(step.path, root);
+            else showFailureState(root);
+        }
+    }
+
+    // Moves the player to `index`. Log entries are written once per step; entries past the
+    // current step are dimmed rather than removed so they stay clickable.
+    function showStep(index) {
+        index = Math.max(0, Math.min(index, trace.length - 1));
+
+        for (let i = stepLogItems.length; i <= index; i++) {
+            const [message, type] = describeStep(trace[i]);
+            stepLogItems.push(logStep(message, type, i));
+        }
+
+        for (let i = Math.max(Math.min(traceIndex, index), 0); i <= Math.max(traceIndex, index); i++) {
+            stepLogItems[i]?.classList.toggle('opacity-40', i > index);
+        }
+        stepLogItems[traceIndex]?.classList.remove('bg-violet-200');
+        stepLogItems[index]?.classList.add('bg-violet-200');
+
+        traceIndex = index;
+        selectedTreeNode = null;
+        renderStep(trace[index]);
+        updateTimeline();
+        updateSolutionsPanel();
+        updateDpTable();
+        updatePruneCounters(trace[index]);
+        updateStatsPanel();
+        updateRecursionTree();
+    }
+
+    // === Search Statistics ===
+    // Totals up to `index`. Playing forward only adds the new steps; seeking back recounts from the start.
+    function statsAt(index) {
+        if (!statsCache || statsCache.index > index) {
+            statsCache = { index: -1, expanded: 0, backtracks: 0, maxDepth: 0, byDepth: [] };
+        }
+        for (let i = statsCache.index + 1; i <= index; i++) {
+            const step = trace[i];
+            // Backtracking expands one tree node per visit; Held–Karp "expands" one table cell.
+            let depth = null;
+            if (step.type === 'start' || step.type === 'visit') depth = step.path.length - 1;
+            if (step.type === 'dp-cell') depth = step.subset.length;
+            if (depth !== null) {
+                statsCache.expanded++;
+                statsCache.byDepth[depth] = (statsCache.byDepth[depth] || 0) + 1;
+                statsCache.maxDepth = Math.max(statsCache.maxDepth, depth);
+            }
+            if (step.type === 'backtrack') statsCache.backtracks++;
+        }
+        statsCache.index = index;
+        return statsCache;
+    }
+
+    function updateStatsPanel() {
+        const stats = statsAt(traceIndex);
+        const step = trace[traceIndex];
+        statExpanded.textContent = stats.expanded;
+        statBacktracks.textContent = stats.backtracks;
+        statMaxDepth.textContent = stats.maxDepth;
+        statPathLength.textContent = step ? step.path.length : 0;
+        updateElapsed();
+        drawStatsChart(stats.byDepth);
+    }
+
+    function updateElapsed() {
+        const end = playbackEndedAt !== null ? playbackEndedAt : Date.now();
+        const seconds = playbackStartedAt !== null ? (end - playbackStartedAt) / 1000 : 0;
+        statElapsed.textContent = `${seconds.toFixed(1)} s`;
+    }
+
+    function drawStatsChart(byDepth) {
+        const width = statsChart.node().clientWidth || 300;
+        const height = statsChart.node().clientHeight || 80;
+        const depths = Math.max(numVertices, 1);
+        const counts = Array.from({ length: depths }, (_, d) => byDepth[d] || 0);
+
+        const x = d3.scaleBand().domain(d3.range(depths)).range([0, width]).padding(0.15);
+        const y = d3.scaleLinear().domain([0, Math.max(1, d3.max(counts))]).range([height - 14, 0]);
+
+        statsChart.attr("viewBox", [0, 0, width, height]);
+        statsChart.selectAll("rect")
+            .data(counts)
+            .join(enter => {
+                const bar = enter.append("rect").attr("fill", "#8b5cf6");
+                bar.append("title");
+                return bar;
+            })
+            .attr("x", (d, i) => x(i))
+            .attr("width", x.bandwidth())
+            .attr("y", d => y(d))
+            .attr("height", d => height - 14 - y(d))
+            .select("title")
+            .text((d, i) => `Depth ${i}: ${d}`);
+        statsChart.selectAll("text")
+            .data(counts)
+            .join("text")
+            .attr("x", (d, i) => x(i) + x.bandwidth() / 2)
+            .attr("y", height - 2)
+            .attr("text-anchor", "middle")
+            .attr("font-size", 10)
+            .attr("fill", "#6d28d9")
+            .text((d, i) => i);
+    }
+
+    // === Graph Analysis ===
+    // What theory predicts before the search runs. Rows refer to vertices by adjacency-matrix index.
+    function analysisLabels(indices) {
+        return indices.map(i => displayLabel(currentGraph.nodes[i])).join(', ');
+    }
+
+    function updateAnalysis() {
+        analysisSelection = null;
+        const result = numVertices > 0 ? GraphAnalysis.analyze(adjMatrix, !!currentGraph.directed) : null;
+        analysisItems = result ? describeAnalysis(result) : [];
+        showAnalysisVerdict(result);
+        renderAnalysis();
+    }
+
+    const ANALYSIS_REASONS = {
+        'too-small': 'an undirected cycle needs at least 3 vertices',
+        'disconnected': 'the graph is disconnected',
+        'low-degree': 'a vertex has degree below 2',
+        'cut-vertex': 'it has a cut vertex',
+        'unequal-parts': 'its bipartite parts differ in size'
+    };
+
+    function showAnalysisVerdict(result) {
+        const verdict = result ? result.verdict : null;
+        analysisVerdict.textContent = {
+            'ruled-out': `Theory rules out a Hamiltonian cycle: ${result && result.reasons.map(reason => ANALYSIS_REASONS[reason]).join(', ')}.`,
+            'guaranteed': `Theory guarantees a Hamiltonian cycle (${result && result.dirac.holds ? "Dirac's" : "Ore's"} theorem).`,
+            'open': 'Theory does not decide this graph. The search will.'
+        }[verdict] || 'Add vertices to analyse the graph.';
+        analysisVerdict.classList.toggle('text-red-600', verdict === 'ruled-out');
+        analysisVerdict.classList.toggle('text-green-700', verdict === 'guaranteed');
+        analysisVerdict.classList.toggle('text-violet-800', verdict === 'open' || verdict === null);
+    }
+
+    function describeAnalysis(result) {
+        const n = numVertices;
+        const directed = !!currentGraph.directed;
+        const { degrees, components, cutVertices, bipartition, partSizes, dirac, ore } = result;
+        const all = degrees.map((_, i) => i);
+        const items = [];
+
+        const minDegree = Math.min(...degrees);
+        const lowDegree = all.filter(i => degrees[i] < 2);
+        items.push({
+            key: 'degrees',
+            title: 'Degree sequence',
+            value: degrees.slice().sort((a, b) => b - a).join(', '),
+            explanation: (directed ? 'Arcs are counted as edges in either direction. ' : '') + (n >= 3 && lowDegree.length > 0
+                ? `${analysisLabels(lowDegree)} ${lowDegree.length === 1 ? 'has' : 'have'} degree below 2. A Hamiltonian cycle enters and leaves every vertex, so none exists.`
+                : `Minimum degree ${minDegree} (highlighted). A Hamiltonian cycle needs every vertex to have degree at least 2.`),
+            highlight: n >= 3 && lowDegree.length > 0 ? lowDegree : all.filter(i => degrees[i] === minDegree)
+        });
+
+        const unreached = components.slice(1).flat();
+        items.push({
+            key: 'connectivity',
+            title: 'Connectivity',
+            value: components.length === 1 ? 'Connected' : `${components.length} components`,
+            explanation: components.length === 1
+                ? 'Every vertex can reach every other one, which any Hamiltonian path or cycle needs.'
+                : `The highlighted vertices cannot be reached from ${analysisLabels([0])}. A Hamiltonian path or cycle would have to cross between components, so neither exists.`,
+            highlight: unreached
+        });
+
+        items.push({
+            key: 'cut-vertices',
+            title: 'Cut vertices',
+            value: cutVertices.length > 0 ? analysisLabels(cutVertices) : 'None',
+            explanation: cutVertices.length > 0
+                ? 'Removing a cut vertex splits the graph, while a Hamiltonian cycle stays connected when any one vertex is removed. So there is no Hamiltonian cycle, although a path may still exist.'
+                : 'No single vertex disconnects the graph. Every Hamiltonian graph has this property, but it does not guarantee a cycle.',
+            highlight: cutVertices
+        });
+
+        if (bipartition.bipartite) {
+            const [a, b] = partSizes;
+            const sides = [0, 1].map(side => all.filter(i => bipartition.sides[i] === side));
+            let explanation = 'A cycle alternates between the two parts, so a Hamiltonian cycle needs parts of equal size. ';
+            if (a === b) explanation += 'These parts are equal, so bipartiteness does not rule one out.';
+            else if (Math.abs(a - b) === 1) explanation += `Parts of ${a} and ${b} rule it out; a Hamiltonian path is still possible.`;
+            else explanation += `Parts of ${a} and ${b} rule it out, and differ by more than 1, which rules out a Hamiltonian path too.`;
+            items.push({
+                key: 'bipartite',
+                title: 'Bipartite',
+                value: `Yes, parts ${a} + ${b}`,
+                explanation,
+                highlight: sides[0],
+                alt: sides[1]
+            });
+        } else {
+            items.push({
+                key: 'bipartite',
+                title: 'Bipartite',
+                value: 'No',
+                explanation: `The highlighted odd cycle (length ${bipartition.oddCycle.length}) cannot be 2-coloured, so there is no part-size argument against a Hamiltonian cycle.`,
+                highlight: bipartition.oddCycle
+            });
+        }
+
+        const notForDirected = 'The theorem is stated for undirected graphs, so it is not checked here.';
+        const tooSmall = 'The theorem needs at least 3 vertices.';
+        const threshold = formatCost(dirac.threshold);
+        items.push({
+            key: 'dirac',
+            title: "Dirac's condition",
+            value: directed || n < 3 ? 'n/a' : (dirac.holds ? 'Holds' : 'Fails'),
+            explanation: directed ? notForDirected : n < 3 ? tooSmall : dirac.holds
+                ? `Every vertex has degree at least n/2 = ${threshold}, so by Dirac's theorem a Hamiltonian cycle exists.`
+                : `The highlighted vertices have degree below n/2 = ${threshold}. Dirac's theorem is only sufficient, so this does not rule a cycle out.`,
+            highlight: directed || n < 3 ? [] : dirac.short
+        });
+
+        const [u, v] = ore.failing[0] || [];
+        items.push({
+            key: 'ore',
+            title: "Ore's condition",
+            value: directed || n < 3 ? 'n/a' : (ore.holds ? 'Holds' : 'Fails'),
+            explanation: directed ? notForDirected : n < 3 ? tooSmall : ore.holds
+                ? `Every non-adjacent pair has degrees summing to at least n = ${n}, so by Ore's theorem a Hamiltonian cycle exists.`
+                : `${ore.failing.length} non-adjacent ${ore.failing.length === 1 ? 'pair falls' : 'pairs fall'} short of n = ${n}, e.g. ${analysisLabels([u])} and ${analysisLabels([v])} (${degrees[u]} + ${degrees[v]} < ${n}). Like Dirac's, Ore's theorem is only sufficient.`,
+            highlight: directed || n < 3 ? [] : [...new Set(ore.failing.flat())].sort((a, b) => a - b)
+        });
+        return items;
+    }
+
+    function renderAnalysis() {
+        analysisList.replaceChildren(...analysisItems.map(item => {
+            const li = document.createElement('li');
+            const clickable = item.highlight.length > 0;
+            li.dataset.analysis = item.key;
+            li.className = 'rounded-lg px-2 py-1' + (clickable ? ' cursor-pointer hover:bg-violet-100' : '');
+            li.classList.toggle('bg-violet-200', item.key === analysisSelection);
+
+            const heading = document.createElement('div');
+            heading.className = 'flex justify-between gap-2';
+            const title = document.createElement('span');
+            title.className = 'font-medium text-violet-800';
+            title.textContent = item.title;
+            const value = document.createElement('span');
+            value.className = 'font-bold text-gray-800 text-right';
+            value.textContent = item.value;
+            heading.append(title, value);
+
+            const explanation = document.createElement('p');
+            explanation.className = 'text-xs text-gray-600';
+            explanation.textContent = item.explanation;
+            li.append(heading, explanation);
+            return li;
+        }));
+        markAnalysisVertices();
+    }
+
+    // Clicking the selected row again clears the highlight.
+    function selectAnalysisItem(key) {
+        const item = analysisItems.find(it => it.key === key);
+        analysisSelection = item && item.highlight.length > 0 && key !== analysisSelection ? key : null;
+        analysisList.querySelectorAll('li').forEach(li => li.classList.toggle('bg-violet-200', li.dataset.analysis === analysisSelection));
+        markAnalysisVertices();
+    }
+
+    function markAnalysisVertices() {
+        if (!node || isEditMode) return;
+        const item = analysisItems.find(it => it.key === analysisSelection);
+        const ids = indices => new Set(indices.map(i => currentGraph.nodes[i].id));
+        const highlighted = ids(item ? item.highlight : []);
+        const alt = ids(item && item.alt ? item.alt : []);
+        node.classed('analysis-highlight', d => highlighted.has(d.id))
+            .classed('analysis-alt', d => alt.has(d.id));
+    }
+
+    // === Verify Mode ===
+    // The student supplies the certificate and the app only checks it with HamiltonianSolver.verify,
+    // the polynomial-time half of the NP-completeness story.
+    function resetVerification() {
+        isVerifyMode = false;
+        verifySequence = [];
+        updateVerifyControls();
+    }
+
+    function setVerifyMode(on) {
+        isVerifyMode = on;
+        if (on) {
+            selectAnalysisItem(null);
+            clearLogs();
+            resetAlgorithmState(); // redraws the proposal picked so far
+        }
+        updateVerifyControls();
+    }
+
+    function handleNodeClick(id) {
+        if (isVerifyMode) addVerifyVertex(id);
+        else setStartVertex(id);
+    }
+
+    function addVerifyVertex(id) {
+        if (isVisualizing) return;
+        verifySequence.push(id);
+        showProposal();
+    }
+
+    function undoVerifyVertex() {
+        verifySequence.pop();
+        showProposal();
+    }
+
+    function clearVerifySequence() {
+        verifySequence = [];
+        showProposal();
+    }
+
+    // The picked vertices and the edges between them. Hops that are not edges stay unmarked
+    // until the check flags them.
+    function showProposal() {
+        clearHighlights();
+        verifySequence.forEach((id, i) => {
+            highlightNode(id, 'visited');
+            if (i > 0) highlightEdge(verifySequence[i - 1], id, 'active');
+        });
+        if (verifySequence.length > 0) highlightNode(verifySequence[verifySequence.length - 1], 'current');
+        updateVerifyControls();
+    }
+
+    function updateVerifyControls() {
+        const idle = !isVisualizing && !isEditMode;
+        verifyKind.textContent = isTourMode() ? 'cycle' : 'path';
+        if (verifySequence.length > 0) verifySequenceText.textContent = formatPath(verifySequence);
+        else verifySequenceText.textContent = isVerifyMode ? 'Click the first vertex.' : 'No vertices picked.';
+        verifyBtn.textContent = isVerifyMode ? 'Stop Picking' : 'Propose';
+        verifyBtn.classList.toggle('bg-violet-200', isVerifyMode);
+        verifyBtn.classList.toggle('bg-white/70', !isVerifyMode);
+        verifyBtn.disabled = !idle || numVertices === 0;
+        verifyUndoBtn.disabled = !idle || verifySequence.length === 0;
+        verifyClearBtn.disabled = !idle || verifySequence.length === 0;
+        verifyCheckBtn.disabled = !idle || verifySequence.length === 0;
+    }
+
+    // Plays the check at the current speed; Pause and Reset work as they do for a search.
+    async function checkCertificate() {
+        if (isVisualizing || verifySequence.length === 0) return;
+        isVerifyMode = false;
+        resetAlgorithmState();
+        stopVisualization = false;
+        setUIState(true);
+        clearLogs();
+        logStep(`Checking ${formatPath(verifySequence)} as a Hamiltonian ${isTourMode() ? 'cycle' : 'path'}.`, 'info');
+
+        const steps = HamiltonianSolver.verify(currentGraph, verifySequence, { mode: searchMode, start: startVertexId, end: endVertexId });
+        try {
+            for (const step of steps) {
+                await pausableSleep();
+                showVerifyStep(step);
+            }
+            setUIState(false);
+        } catch (err) {
+            if (err === 'stopped') {
+                logStep("Check stopped by user.", "backtrack");
+                resetAlgorithmState();
+            } else {
+                console.error("Certificate check error:", err);
+                logStep("An unexpected error occurred.", "backtrack");
+                setUIState(false);
+            }
+        }
+    }
+
+    function showVerifyStep(step) {
+        const edge = currentGraph.directed ? 'arc' : 'edge';
+        if (step.type === 'check-edge') {
+            const hop = `${step.closing ? 'Closing hop' : 'Hop'} ${nodeLabel(step.from)} -> ${nodeLabel(step.to)}`;
+            if (step.ok) {
+                highlightEdge(step.from, step.to, 'active');
+                logStep(`${hop} is an ${edge}.`, 'explore');
+            } else if (step.reused) {
+                markNonEdge(step.from, step.to);
+                logStep(`${hop} would use the same ${edge} twice; an undirected cycle needs at least 3 vertices.`, 'backtrack');
+            } else {
+                markNonEdge(step.from, step.to);
+                logStep(`${hop} is not an ${edge} of the graph.`, 'backtrack');
+            }
+        } else if (step.type === 'check-vertex') {
+            svgEl.selectAll('.node.current').classed('current', false);
+            const position = `Position ${step.position + 1}`;
+            if (step.ok) {
+                highlightNode(step.vertex, 'visited');
+                highlightNode(step.vertex, 'current');
+                logStep(`${position}: ${nodeLabel(step.vertex)} is new.`, 'info');
+            } else if (step.problem === 'repeat') {
+                highlightNode(step.vertex, 'failed');
+                logStep(`${position}: ${nodeLabel(step.vertex)} was already visited at position ${verifySequence.indexOf(step.vertex) + 1}.`, 'backtrack');
+            } else {
+                logStep(`${position}: ${step.vertex} is not a vertex of this graph.`, 'backtrack');
+            }
+        } else if (step.type === 'check-missing') {
+            if (step.ok) {
+                logStep(`All ${numVertices} vertices appear.`, 'info');
+            } else {
+                step.missing.forEach(id => highlightNode(id, 'missing'));
+                logStep(`Missing ${step.missing.length === 1 ? 'vertex' : 'vertices'}: ${step.missing.map(nodeLabel).join(', ')}.`, 'backtrack');
+            }
+        } else if (step.type === 'check-endpoints') {
+            logStep(step.ok
+                ? `The path runs from ${nodeLabel(step.start)} to ${nodeLabel(step.end)} as required.`
+                : `The path must start at ${nodeLabel(step.start)} and end at ${nodeLabel(step.end)}.`, step.ok ? 'info' : 'backtrack');
+        } else if (step.type === 'verified') {
+            if (step.valid) {
+                clearHighlights();
+                showFinalPath(step.sequence);
+                const shown = isTourMode() ? formatTour(step.sequence) : formatPath(step.sequence);
+                logStep(`Certificate accepted: ${shown} is a Hamiltonian ${isTourMode() ? 'cycle' : 'path'}.`, 'success');
+            } else {
+                const count = step.problems.length;
+                logStep(`Certificate rejected: ${count} ${count === 1 ? 'problem' : 'problems'} found.`, 'backtrack');
+            }
+        }
+    }
+
+    // A hop between non-adjacent vertices has no link element, so it gets a temporary one.
+    function markNonEdge(from, to) {
+        const ends = node.data();
+        svgEl.select('.verify-marks').append('line')
+            .datum({ source: ends.find(d => d.id === from), target: ends.find(d => d.id === to) })
+            .attr('class', 'link failed verify-mark')
+            .classed('directed', !!currentGraph.directed);
+        positionVerifyMarks();
+    }
+
+    function positionVerifyMarks() {
+        svgEl.selectAll('.verify-mark')
+            .attr('x1', d => d.source.x).attr('y1', d => d.source.y)
+            .attr('x2', d => d.target.x).attr('y2', d => d.target.y);
+    }
+
+    // === Recursion Tree ===
+    // Turns the trace into the state-space tree: one tree node per partial path, each stamped with
+    // the steps at which it appeared and was backtracked, pruned or completed. Rendering a step
+    // then only has to compare those stamps with the current index.
+    function buildRecursionTree() {
+        treeNodes = [];
+        stepTreeNode = [];
+        selectedTreeNode = null;
+        if (algorithm !== 'backtracking') return;
+
+        const addNode = (parent, nodePath, createdAt) => {
+            const treeNode = { id: treeNodes.length, parent, path: nodePath, createdAt, backtrackedAt: Infinity, prunedAt: Infinity, successAt: Infinity };
+            treeNodes.push(treeNode);
+            return treeNode;
+        };
+        const root = addNode(null, [], 0);
+        let current = root;
+        let startNode = null;
+
+        trace.forEach((step, i) => {
+            switch (step.type) {
+                case 'start':
+                    if (startNode) startNode.backtrackedAt = Math.min(startNode.backtrackedAt, i);
+                    current = startNode = addNode(root.id, step.path, i);
+                    break;
+                case 'visit':
+                    current = addNode(current.id, step.path, i);
+                    break;
+                case 'backtrack':
+                    current.backtrackedAt = i;
+                    current = treeNodes[current.parent];
+                    break;
+                case 'prune':
+                    if (step.from === undefined) root.prunedAt = i;
+                    else addNode(current.id, [...step.path, step.to], i).prunedAt = i;
+                    break;
+                case 'cycle-found':
+                case 'path-found':
+                case 'tour-found':
+                    current.successAt = i;
+                    break;
+                case 'done':
+                    if (!step.found && startNode) startNode.backtrackedAt = Math.min(startNode.backtrackedAt, i);
+                    break;
+            }
+            stepTreeNode.push(current.id);
+        });
+    }
+
+    function updateRecursionTree() {
+        if (treePanel.classList.contains('hidden')) return;
+
+        const showMessage = (text) => {
+            treeSvg.selectAll("*").remove();
+            treeMessage.textContent = text;
+            treeMessage.classList.remove('hidden');
+        };
+        if (trace.length === 0) return showMessage("Click 'Start' to grow the tree...");
+        if (treeNodes.length === 0) return showMessage("The recursion tree is drawn for the backtracking search.");
+
+        const visible = treeNodes.filter(n => n.createdAt <= traceIndex);
+        if (visible.length > MAX_TREE_NODES) return showMessage(`${visible.length} tree nodes so far. Too many to draw.`);
+        treeMessage.classList.add('hidden');
+
+        const currentBranch = new Set();
+        for (let id = stepTreeNode[traceIndex]; id !== null; id = treeNodes[id].parent) currentBranch.add(id);
+
+        const status = (n) => {
+            if (n.successAt <= traceIndex) return 'success';
+            if (n.prunedAt <= traceIndex) return 'pruned';
+            if (n.backtrackedAt <= traceIndex) return 'backtracked';
+            return currentBranch.has(n.id) ? 'current-branch' : '';
+        };
+
+        const root = d3.stratify().id(d => d.id).parentId(d => d.parent)(visible);
+        d3.tree().nodeSize([22, 40])(root);
+
+        const [minX, maxX] = d3.extent(root.descendants(), d => d.x);
+        const maxY = d3.max(root.descendants(), d => d.y);
+        treeSvg.attr("viewBox", [minX - 20, -20, maxX - minX + 40, maxY + 40]);
+
+        treeSvg.selectAll("path.tree-link")
+            .data(root.links(), d => d.target.id)
+            .join("path")
+            .attr("class", d => `tree-link ${currentBranch.has(d.target.data.id) ? 'current-branch' : ''}`)
+            .attr("d", d3.linkVertical().x(d => d.x).y(d => d.y));
+
+        treeSvg.selectAll("g.tree-node")
+            .data(root.descendants(), d => d.id)
+            .join(enter => {
+                const g = enter.append("g").on('click', (event, d) => selectTreeNode(d.data));
+                g.append("circle").attr("r", 8);
+                g.append("text");
+                g.append("title");
+                return g;
+            })
+            .attr("class", d => `tree-node ${status(d.data)}`)
+            .classed('selected', d => d.data.id === selectedTreeNode)
+            .attr("transform", d => `translate(${d.x},${d.y})`)
+            .call(g => g.select("text").text(d => d.data.path.length > 0 ? nodeLabel(d.data.path[d.data.path.length - 1]) : ''))
+            .call(g => g.select("title").text(d => d.data.path.length > 0 ? formatPath(d.data.path) : 'Search root'));
+
+        // Paths are drawn first so they stay underneath the nodes.
+        treeSvg.selectAll("path.tree-link").lower();
+    }
+
+    // Shows the partial path of a tree node on the main graph.
+    function selectTreeNode(treeNode) {
+        if (isVisualizing && !isPaused) {
+            isPaused = true;
+            logStep("--- Visualization Paused ---", "info");
+        }
+        selectedTreeNode = treeNode.id;
+
+        clearHighlights();
+        treeNode.path.forEach((id, i) => {
+            highlightNode(id, 'visited');
+            if (i > 0) highlightEdge(treeNode.path[i - 1], id, 'active');
+        });
+        if (treeNode.path.length > 0) highlightNode(treeNode.path[treeNode.path.length - 1], 'current');
+        updateRecursionTree();
+    }
+
+    function updatePruneCounters(step) {
+        pruneCountBadges.forEach(badge => {
+            badge.textContent = (step && step.prunes[badge.dataset.pruneCount]) || 0;
+        });
+    }
+
+    // Jumps to a step picked from the timeline or the log, pausing a running playback first.
+    function seekTo(index) {
+        if (trace.length === 0 || isEditMode) return;
+        if (isVisualizing && !isPaused) {
+            isPaused = true;
+            logStep("--- Visualization Paused ---", "info");
+        }
+        showStep(index);
+        stepLogItems[traceIndex]?.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Lists the distinct solutions discovered up to the current step.
+    function updateSolutionsPanel() {
+        solutionsPanel.classList.toggle('hidden', !findAll);
+        solutionsList.querySelectorAll('li').forEach(li => li.classList.remove('bg-violet-200'));
+
+        const found = solutions.filter(sol => sol.step <= traceIndex);
+        solutionsCount.textContent = found.length;
+        if (listedSolutions === solutions && found.length === solutionsList.children.length) return;
+        listedSolutions = solutions;
+
+        solutionsList.innerHTML = '';
+        found.forEach((sol, i) => {
+            const li = document.createElement('li');
+            li.className = 'text-gray-700 cursor-pointer rounded px-1 hover:bg-violet-100';
+            li.dataset.solution = i;
+            li.textContent = `#${i + 1}: ${searchMode === 'cycle' ? formatTour(sol.path) : formatPath(sol.path)}`;
+            solutionsList.appendChild(li);
         });
+    }
+
+    function showSolution(index) {
+        if (isVisualizing && !isPaused) {
+            isPaused = true;
+            logStep("--- Visualization Paused ---", "info");
+        }
+        clearHighlights();
+        path = solutions[index].path.slice();
+        showFinalPath();
+
+        solutionsList.querySelectorAll('li').forEach(li => li.classList.remove('bg-violet-200'));
+        solutionsList.children[index].classList.add('bg-violet-200');
+    }
+
+    function updateBestTourPanel(step) {
+        bestTourPanel.classList.toggle('hidden', searchMode !== 'tsp');
+        bestTourText.textContent = step && step.best
+            ? `${formatTour(step.best.path)} (cost ${formatCost(step.best.cost)})`
+            : 'No complete tour yet.';
+    }
+
+    function updateTimeline() {
+        timelineSlider.disabled = trace.length === 0;
+        timelineSlider.max = Math.max(trace.length - 1, 0);
+        timelineSlider.value = Math.max(traceIndex, 0);
+        timelineLabel.textContent = trace.length > 0 ? `${traceIndex + 1} / ${trace.length}` : '0 / 0';
+    }
+
+    async function playTrace() {
+        while (traceIndex < trace.length - 1) {
+            await pausableSleep();
+            showStep(traceIndex + 1);
+        }
+    }
+
+
+    // === Graph Editor Functions ===
+    function enterEditMode(existingGraph = null, graphIndex = null) {
+        isEditMode = true;
+        resetVerification();
+        isDeleteMode = false;
+        selectedNodeForConnection = null;
+        selectedNodeId = null;
+        editingGraphIndex = graphIndex;
+        editorDirected = !!(existingGraph && existingGraph.directed);
+        editorNodesMoved = false;
+        directedCheckbox.checked = editorDirected;
+        editorUndoStack = [];
+        editorRedoStack = [];
+        updateHistoryButtons();
+        editorSelection = new Set();
+        editorNodeCounter = Math.max(
+            existingGraph && Number.isInteger(existingGraph.nextId) ? existingGraph.nextId : 0,
+            ...(existingGraph ? existingGraph.nodes.map(n => n.id + 1) : [])
+        );
+        
+        if (existingGraph) {
+            // Start from the positions on screen so the editor shows the same picture.
+            const drawn = new Map(existingGraph === currentGraph && simulation ? simulation.nodes().map(d => [d.id, d]) : []);
+            editorNodes = existingGraph.nodes.map(n => {
+                const d = drawn.get(n.id) || n;
+                const editorNode = { ...n };
+                if (Number.isFinite(d.x) && Number.isFinite(d.y)) {
+                    editorNode.x = editorNode.fx = d.x;
+                    editorNode.y = editorNode.fy = d.y;
+                }
+                return editorNode;
+            });
+            const nodeMap = new Map(editorNodes.map(n => [n.id, n]));
+            editorLinks = existingGraph.links.map(l => {
+                const srcId = typeof l.source === 'object' ? l.source.id : l.source;
+                const tgtId = typeof l.target === 'object' ? l.target.id : l.target;
+                return {
+                    source: nodeMap.get(srcId),
+                    target: nodeMap.get(tgtId),
+                    weight: l.weight
+                };
+            }).filter(l => l.source && l.target);
+        } else {
+            editorNodes = [];
+            editorLinks = [];
+        }
+        
+        // Update UI
+        createGraphBtn.classList.remove('hidden'); 
+        addGraphBtn.classList.add('hidden'); 
+
+        startBtn.disabled = true;
+        resetBtn.disabled = true; 
+        prevBtn.style.display = 'none';
+        nextBtn.style.display = 'none';
+        editGraphBtn.classList.add('hidden');
+        libraryBtn.disabled = true;
+        ioBtn.disabled = true;
+        shareBtn.disabled = true;
+        generatorBtn.disabled = true;
+        compareBtn.disabled = true;
+        deleteBtn.classList.remove('hidden');
+        directedToggle.classList.remove('hidden');
+        historyButtons.classList.remove('hidden');
+        editorTools.classList.remove('hidden');
+        deleteBtn.classList.remove('bg-red-600');
+        deleteBtn.classList.add('bg-red-500');
+        deleteBtn.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 inline-block mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                <path stroke-linecap="round" stroke-linejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+            Delete Mode`;
+        graphTitle.textContent = existingGraph ? `Editing: ${existingGraph.name}` : 'Graph Editor - Click to add nodes';
+        
+        svgEl.selectAll("*").remove();
+        drawEditorGraph();
+        
+        svgEl.on('click', handleEditorClick);
+        svgEl.call(d3.drag()
+            .container(function () { return this; })
+            .filter(event => !event.button && event.target === svgEl.node() && !isDeleteMode)
+            .on("start", selectionBoxStarted)
+            .on("drag", selectionBoxDragged)
+            .on("end", selectionBoxEnded));
+    }
+    
+    function exitEditMode() {
+        isEditMode = false;
+        isDeleteMode = false;
+        
+        // Update UI
+        createGraphBtn.classList.add('hidden'); 
+        addGraphBtn.classList.remove('hidden'); 
+        startBtn.disabled = false;
+        resetBtn.disabled = false; 
+        prevBtn.style.display = 'block';
+        nextBtn.style.display = 'block';
+        deleteBtn.classList.add('hidden');
+        directedToggle.classList.add('hidden');
+        historyButtons.classList.add('hidden');
+        editorTools.classList.add('hidden');
+        editGraphBtn.classList.remove('hidden');
+        libraryBtn.disabled = false;
+        ioBtn.disabled = false;
+        shareBtn.disabled = false;
+        generatorBtn.disabled = false;
+        compareBtn.disabled = false;
+        
+        svgEl.on('click', null);
+        svgEl.on('.drag', null);
+        
+        const shouldSave = (editingGraphIndex !== null) || (editorNodes.length > 0);
+
+        if (shouldSave) {
+            const savedGraph = {
+                nodes: editorNodes.map(n => {
+                    const savedNode = { id: n.id, x: n.x, y: n.y };
+                    if (n.label) savedNode.label = n.label;
+                    return savedNode;
+                }),
+                links: editorLinks.map(l => {
+                    const savedLink = {
+                        source: typeof l.source === 'object' ? l.source.id : l.source,
+                        target: typeof l.target === 'object' ? l.target.id : l.target
+                    };
+                    if (l.weight !== undefined) savedLink.weight = l.weight;
+                    return savedLink;
+                }),
+                directed: editorDirected,
+                layout: editingGraphIndex !== null && !editorNodesMoved ? layoutOf(graphs[editingGraphIndex]) : 'manual',
+                nextId: editorNodeCounter,
+                name: editingGraphIndex !== null ? graphs[editingGraphIndex].name : `Custom Graph ${graphs.length + 1}`
+            };
+            
+            if (editingGraphIndex !== null) {
+                graphs[editingGraphIndex] = savedGraph;
+                currentGraphIndex = editingGraphIndex;
+            } else {
+                graphs.push(savedGraph);
+                currentGraphIndex = graphs.length - 1;
+            }
+            saveGraphs();
+            drawGraph(savedGraph);
+        } else {
+            showCurrentGraph();
+        }
+
+        editingGraphIndex = null;
+    }
+    
+    function handleEditorClick(event) {
+        if (isEditMode && !isDeleteMode && !event.defaultPrevented) {
+            if (editorSelection.size > 0) {
+                // The first click on empty space drops the selection instead of adding a node.
+                editorSelection.clear();
+                updateEditorSelection();
+                return;
+            }
+            
+            const [x, y] = d3.pointer(event, svgEl.node());
+            
+            const newId = editorNodeCounter++;
+            
+            const newNode = {
+                id: newId,
+                x: x, y: y,
+                fx: x, fy: y 
+            };
+            recordEditorHistory();
+            editorNodes.push(newNode);
+            drawEditorGraph();
+        }
+    }
+    
+    function deleteNode(nodeId) {
+        recordEditorHistory();
+        ({ nodes: editorNodes, links: editorLinks } = GraphModel.deleteNode(editorGraph(), nodeId));
+        editorSelection.delete(nodeId);
         
         if (selectedNodeForConnection && selectedNodeForConnection.id === nodeId) {
             selectedNodeForConnection = null;
@@ -568,139 +2014,1060 @@ document.addEventListener('DOMContentLoaded', () => {
                 Delete Mode`;
             graphTitle.textContent = 'Graph Editor - Click to add nodes';
         }
-        drawEditorGraph(); 
+        drawEditorGraph(); 
+    }
+
+    function deleteLink(link) {
+        recordEditorHistory();
+        editorLinks = editorLinks.filter(l => l !== link);
+        drawEditorGraph();
+    }
+
+    function drawEditorGraph() {
+        svgEl.selectAll("*").remove(); 
+        
+        const width = visContainer.clientWidth;
+        const height = visContainer.clientHeight;
+        svgEl.attr("viewBox", [0, 0, width, height]);
+
+        if (editorSimulation) {
+            editorSimulation.stop();
+        }
+
+        markAntiparallel(editorLinks, editorDirected);
+        updateEditorTools();
+
+        editorSimulation = d3.forceSimulation(editorNodes)
+            .force("link", d3.forceLink(editorLinks).id(d => d.id).distance(100))
+            .force("charge", d3.forceManyBody().strength(-400))
+            .force("center", d3.forceCenter(width / 2, height / 2))
+            .on("tick", ticked);
+
+        appendArrowMarkers();
+
+        const editorLink = svgEl.append("g")
+            .attr("class", "links")
+            .selectAll("line")
+            .data(editorLinks)
+            .enter().append("line")
+            .attr("class", "link")
+            .classed('directed', editorDirected)
+            .classed('delete-hover', isDeleteMode)
+            .on('click', handleEditorLinkClick);
+
+        const editorLinkLabel = appendLinkLabels(editorLinks)
+            .classed('editable', true)
+            .on('click', handleEditorLinkClick);
+
+        const editorNode = svgEl.append("g")
+            .attr("class", "nodes")
+            .selectAll("g")
+            .data(editorNodes)
+            .enter().append("g")
+            .attr("class", "node")
+            .attr("id", d => `node-${d.id}`)
+            .classed('selected', d => d.id === selectedNodeId)
+            .classed('in-selection', d => editorSelection.has(d.id))
+            .classed('delete-hover', isDeleteMode)
+            .on('click', handleEditorNodeClick)
+            .on('dblclick', handleEditorNodeDoubleClick)
+            .call(d3.drag()
+                .on("start", dragstarted)
+                .on("drag", dragged)
+                .on("end", dragended));
+        
+        // --- MODIFICATION HERE ---
+        editorNode.append("circle")
+            .attr("r", 18); // Set radius as attribute
+        // --- END MODIFICATION ---
+        
+        editorNode.append("text")
+            .text(displayLabel);
+
+        function ticked() {
+            editorLink
+                .attr("x1", d => linkCoords(d)[0])
+                .attr("y1", d => linkCoords(d)[1])
+                .attr("x2", d => linkCoords(d)[2])
+                .attr("y2", d => linkCoords(d)[3]);
+            positionLinkLabels(editorLinkLabel);
+            
+            editorNode
+                .attr("transform", d => `translate(${d.x},${d.y})`);
+        }
+
+        // A press without movement is a click, so the history entry is only kept once the node moves.
+        let dragSnapshot = null;
+        let dragMoved = false;
+        let dragOrigins = null; // node -> [x, y] at drag start, for every node that moves along
+        let dragStart = null;
+        let edgePreview = null; // dashed line shown while Shift+dragging out a new edge
+
+        function dragstarted(event, d) {
+            dragSnapshot = editorSnapshot();
+            dragMoved = false;
+            if (event.sourceEvent.shiftKey && !isDeleteMode) {
+                edgePreview = svgEl.insert("line", ".nodes")
+                    .attr("class", "link edge-preview")
+                    .attr("x1", d.x).attr("y1", d.y)
+                    .attr("x2", d.x).attr("y2", d.y);
+                return;
+            }
+            if (!event.active) editorSimulation.alphaTarget(0.3).restart();
+            const group = editorSelection.has(d.id) ? editorNodes.filter(n => editorSelection.has(n.id)) : [d];
+            dragOrigins = new Map(group.map(n => [n, [n.x, n.y]]));
+            dragStart = [event.x, event.y];
+            group.forEach(n => { n.fx = n.x; n.fy = n.y; });
+        }
+        function dragged(event, d) {
+            dragMoved = true;
+            if (edgePreview) {
+                const [x, y] = d3.pointer(event.sourceEvent, svgEl.node());
+                edgePreview.attr("x2", x).attr("y2", y);
+                return;
+            }
+            const dx = event.x - dragStart[0];
+            const dy = event.y - dragStart[1];
+            dragOrigins.forEach(([x0, y0], n) => { n.fx = x0 + dx; n.fy = y0 + dy; });
+        }
+        function dragended(event, d) {
+            if (edgePreview) {
+                edgePreview.remove();
+                edgePreview = null;
+                const [x, y] = d3.pointer(event.sourceEvent, svgEl.node());
+                const target = editorNodes.find(n => n !== d && Math.hypot(n.x - x, n.y - y) <= 18);
+                if (target) addEditorLink(d, target);
+                return;
+            }
+            if (!event.active) editorSimulation.alphaTarget(0);
+            dragOrigins.forEach((_, n) => { n.fx = n.x; n.fy = n.y; });
+            dragOrigins = null;
+            if (dragMoved) {
+                editorNodesMoved = true;
+                recordEditorHistory(dragSnapshot);
+            }
+        }
+    }
+
+    function handleEditorNodeClick(event, d) {
+        event.stopPropagation(); 
+        event.preventDefault();
+
+        if (isDeleteMode) {
+            deleteNode(d.id);
+            return;
+        }
+
+        if (event.ctrlKey || event.metaKey) {
+            if (editorSelection.has(d.id)) editorSelection.delete(d.id);
+            else editorSelection.add(d.id);
+            updateEditorSelection();
+            return;
+        }
+
+        if (!selectedNodeForConnection) {
+            selectedNodeForConnection = d;
+            selectedNodeId = d.id;
+            d3.select(event.currentTarget).classed('selected', true);
+        } else {
+            if (selectedNodeId === d.id) {
+                selectedNodeForConnection = null;
+                selectedNodeId = null;
+                d3.select(event.currentTarget).classed('selected', false);
+            } else {
+                const sourceNode = selectedNodeForConnection;
+                selectedNodeId = null;
+                selectedNodeForConnection = null;
+                if (!addEditorLink(sourceNode, d)) drawEditorGraph();
+            }
+        }
+    }
+
+    function handleEditorNodeDoubleClick(event, d) {
+        event.stopPropagation();
+        event.preventDefault();
+        if (isDeleteMode) return;
+
+        const answer = prompt(`Label for vertex ${d.id} (leave empty to show the id):`, d.label || '');
+        if (answer === null) return;
+        const label = answer.trim();
+        if (label === (d.label || '')) return;
+        recordEditorHistory();
+        if (label) d.label = label;
+        else delete d.label;
+        selectedNodeForConnection = null;
+        selectedNodeId = null;
+        drawEditorGraph();
+    }
+
+    // The editor state as a plain graph for the GraphModel operations.
+    function editorGraph() {
+        return { nodes: editorNodes, links: editorLinks, directed: editorDirected };
+    }
+
+    function editorLinkExists(sourceId, targetId) {
+        return GraphModel.linkExists(editorGraph(), sourceId, targetId);
+    }
+
+    // Returns false when the edge already existed, so callers know nothing was redrawn.
+    function addEditorLink(sourceNode, targetNode) {
+        if (sourceNode.id === targetNode.id || editorLinkExists(sourceNode.id, targetNode.id)) return false;
+        recordEditorHistory();
+        editorLinks.push({ source: sourceNode, target: targetNode });
+        drawEditorGraph();
+        return true;
+    }
+
+    // === Editor Selection Tools ===
+    function selectionBoxStarted(event) {
+        selectionBox = {
+            origin: [event.x, event.y],
+            additive: event.sourceEvent.ctrlKey || event.sourceEvent.metaKey || event.sourceEvent.shiftKey,
+            moved: false,
+            rect: svgEl.append("rect").attr("class", "selection-box")
+                .attr("x", event.x).attr("y", event.y).attr("width", 0).attr("height", 0)
+        };
+    }
+
+    function selectionBoxDragged(event) {
+        const [x0, y0] = selectionBox.origin;
+        selectionBox.moved = true;
+        selectionBox.rect
+            .attr("x", Math.min(x0, event.x)).attr("y", Math.min(y0, event.y))
+            .attr("width", Math.abs(event.x - x0)).attr("height", Math.abs(event.y - y0));
+    }
+
+    function selectionBoxEnded(event) {
+        const { origin: [x0, y0], additive, moved, rect } = selectionBox;
+        rect.remove();
+        selectionBox = null;
+        if (!moved) return; // A plain click: handleEditorClick decides what it means.
+
+        const [xMin, xMax] = [Math.min(x0, event.x), Math.max(x0, event.x)];
+        const [yMin, yMax] = [Math.min(y0, event.y), Math.max(y0, event.y)];
+        if (!additive) editorSelection.clear();
+        editorNodes
+            .filter(n => n.x >= xMin && n.x <= xMax && n.y >= yMin && n.y <= yMax)
+            .forEach(n => editorSelection.add(n.id));
+        updateEditorSelection();
+    }
+
+    function updateEditorSelection() {
+        svgEl.selectAll('.node').classed('in-selection', d => editorSelection.has(d.id));
+        updateEditorTools();
+    }
+
+    function updateEditorTools() {
+        deleteSelectedBtn.disabled = editorSelection.size === 0;
+        cliqueBtn.disabled = editorSelection.size < 2;
+        complementBtn.disabled = editorNodes.length < 2;
+        clearEdgesBtn.disabled = editorLinks.length === 0;
+    }
+
+    function deleteSelectedNodes() {
+        if (editorSelection.size === 0) return;
+        recordEditorHistory();
+        ({ nodes: editorNodes, links: editorLinks } = GraphModel.deleteNodes(editorGraph(), [...editorSelection]));
+        if (selectedNodeForConnection && editorSelection.has(selectedNodeId)) {
+            selectedNodeForConnection = null;
+            selectedNodeId = null;
+        }
+        editorSelection.clear();
+        drawEditorGraph();
+    }
+
+    function connectSelectionAsClique() {
+        const missing = GraphModel.missingLinks(editorGraph(), [...editorSelection]);
+        if (missing.length === 0) return;
+        recordEditorHistory();
+        editorLinks.push(...missing);
+        drawEditorGraph();
+    }
+
+    // Replaces the edge set with every missing edge (arc, in directed mode). Weights do not carry over.
+    function complementEditorGraph() {
+        const complement = GraphModel.complementLinks(editorGraph());
+        recordEditorHistory();
+        editorLinks = complement;
+        drawEditorGraph();
+    }
+
+    function clearEditorEdges() {
+        if (editorLinks.length === 0) return;
+        recordEditorHistory();
+        editorLinks = [];
+        drawEditorGraph();
+    }
+
+    function handleEditorLinkClick(event, d) {
+        event.stopPropagation();
+        event.preventDefault();
+        
+        if (isDeleteMode) {
+            deleteLink(d);
+            return;
+        }
+
+        const answer = prompt(`Weight of edge ${displayLabel(d.source)} - ${displayLabel(d.target)}:`, linkWeight(d));
+        if (answer === null || answer.trim() === '') return;
+        const weight = Number(answer);
+        if (!Number.isFinite(weight) || weight < 0) {
+            graphTitle.textContent = 'Edge weight must be a non-negative number';
+            return;
+        }
+        recordEditorHistory();
+        d.weight = weight;
+        drawEditorGraph();
+    }
+
+    // === Editor History ===
+    function editorSnapshot() {
+        return {
+            nodes: editorNodes.map(n => ({ id: n.id, label: n.label, x: n.x, y: n.y, fx: n.fx, fy: n.fy })),
+            links: editorLinks.map(l => ({
+                source: typeof l.source === 'object' ? l.source.id : l.source,
+                target: typeof l.target === 'object' ? l.target.id : l.target,
+                weight: l.weight
+            })),
+            directed: editorDirected
+        };
+    }
+
+    function recordEditorHistory(snapshot = editorSnapshot()) {
+        editorUndoStack.push(snapshot);
+        if (editorUndoStack.length > MAX_EDITOR_HISTORY) editorUndoStack.shift();
+        editorRedoStack = [];
+        updateHistoryButtons();
+    }
+
+    function restoreEditorSnapshot(snapshot) {
+        editorNodes = snapshot.nodes.map(n => {
+            const node = { ...n };
+            if (!node.label) delete node.label;
+            return node;
+        });
+        const nodeMap = new Map(editorNodes.map(n => [n.id, n]));
+        editorLinks = snapshot.links.map(l => ({
+            source: nodeMap.get(l.source),
+            target: nodeMap.get(l.target),
+            weight: l.weight
+        }));
+        editorDirected = snapshot.directed;
+        directedCheckbox.checked = editorDirected;
+        selectedNodeForConnection = null;
+        selectedNodeId = null;
+        editorSelection = new Set([...editorSelection].filter(id => nodeMap.has(id)));
+        drawEditorGraph();
+    }
+
+    function undoEdit() {
+        if (!isEditMode || editorUndoStack.length === 0) return;
+        editorRedoStack.push(editorSnapshot());
+        restoreEditorSnapshot(editorUndoStack.pop());
+        updateHistoryButtons();
+    }
+
+    function redoEdit() {
+        if (!isEditMode || editorRedoStack.length === 0) return;
+        editorUndoStack.push(editorSnapshot());
+        restoreEditorSnapshot(editorRedoStack.pop());
+        updateHistoryButtons();
+    }
+
+    function updateHistoryButtons() {
+        undoBtn.disabled = editorUndoStack.length === 0;
+        redoBtn.disabled = editorRedoStack.length === 0;
+    }
+
+    // === Graph Library ===
+    function saveGraphs() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(graphs.map(serializeGraph)));
+        } catch (err) {
+            // Private browsing or a full quota: the session keeps working, it just won't persist.
+            console.warn('Could not save the graph library:', err);
+        }
+    }
+
+    function loadGraphs() {
+        let stored;
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (err) {
+            console.warn('Ignoring an unreadable saved graph library:', err);
+            return;
+        }
+        const restored = GraphModel.restoreGraphs(stored);
+        if (!restored) return; // Nothing saved yet: keep the built-in graphs.
+        graphs.splice(0, graphs.length, ...restored);
+    }
+
+    function showCurrentGraph() {
+        if (graphs.length > 0) {
+            currentGraphIndex = Math.min(Math.max(currentGraphIndex, 0), graphs.length - 1);
+            drawGraph(graphs[currentGraphIndex]);
+            editGraphBtn.classList.remove('hidden');
+        } else {
+            if (simulation) simulation.stop();
+            simulation = null;
+            node = null;
+            svgEl.selectAll("*").remove();
+            currentGraph = { nodes: [], links: [], name: '' };
+            buildAdjMatrix(currentGraph);
+            populateVertexSelects(currentGraph);
+            updateAnalysis();
+            resetVerification();
+            clearLogs();
+            resetAlgorithmState();
+            graphTitle.textContent = "No graphs available";
+            editGraphBtn.classList.add('hidden');
+        }
+    }
+
+    function openLibrary() {
+        renderLibrary();
+        libraryModal.classList.remove('hidden');
+        libraryModal.classList.add('flex');
+    }
+
+    function closeLibrary() {
+        libraryModal.classList.add('hidden');
+        libraryModal.classList.remove('flex');
+    }
+
+    function renderLibrary() {
+        libraryList.innerHTML = '';
+        if (graphs.length === 0) {
+            libraryList.innerHTML = '<li class="text-gray-500 italic text-sm">The library is empty. Use + to draw a new graph.</li>';
+            return;
+        }
+        graphs.forEach((graph, i) => {
+            const li = document.createElement('li');
+            li.dataset.index = i;
+            li.className = 'flex items-center gap-1 bg-violet-50 rounded-lg px-3 py-2';
+            if (i === currentGraphIndex) li.classList.add('ring-2', 'ring-violet-400');
+            li.innerHTML = `
+                <button data-action="open" class="flex-grow text-left min-w-0" title="Show this graph">
+                    <span class="block text-sm font-medium text-gray-800 truncate"></span>
+                    <span class="block text-xs text-gray-500"></span>
+                </button>
+                <button data-action="up" class="px-2 py-1 rounded hover:bg-violet-200 text-violet-700 disabled:opacity-30" title="Move up">&uarr;</button>
+                <button data-action="down" class="px-2 py-1 rounded hover:bg-violet-200 text-violet-700 disabled:opacity-30" title="Move down">&darr;</button>
+                <button data-action="rename" class="px-2 py-1 rounded hover:bg-violet-200 text-violet-700 text-xs font-medium">Rename</button>
+                <button data-action="duplicate" class="px-2 py-1 rounded hover:bg-violet-200 text-violet-700 text-xs font-medium">Duplicate</button>
+                <button data-action="delete" class="px-2 py-1 rounded hover:bg-red-100 text-red-600 text-xs font-medium">Delete</button>`;
+            const [nameSpan, infoSpan] = li.querySelectorAll('[data-action="open"] span');
+            nameSpan.textContent = graph.name;
+            infoSpan.textContent = `${graph.nodes.length} vertices, ${graph.links.length} ${graph.directed ? 'arcs' : 'edges'}`;
+            li.querySelector('[data-action="up"]').disabled = i === 0;
+            li.querySelector('[data-action="down"]').disabled = i === graphs.length - 1;
+            libraryList.appendChild(li);
+        });
+    }
+
+    function handleLibraryAction(action, index) {
+        const shownGraph = graphs[currentGraphIndex];
+        const graph = graphs[index];
+
+        if (action === 'open') {
+            currentGraphIndex = index;
+            closeLibrary();
+            showCurrentGraph();
+            return;
+        } else if (action === 'up' || action === 'down') {
+            const other = action === 'up' ? index - 1 : index + 1;
+            if (other < 0 || other >= graphs.length) return;
+            [graphs[index], graphs[other]] = [graphs[other], graphs[index]];
+        } else if (action === 'rename') {
+            const answer = prompt('New name for this graph:', graph.name);
+            if (answer === null || answer.trim() === '') return;
+            graph.name = answer.trim();
+        } else if (action === 'duplicate') {
+            const copy = serializeGraph(graph);
+            copy.name = `${graph.name} (copy)`;
+            graphs.splice(index + 1, 0, copy);
+        } else if (action === 'delete') {
+            if (!confirm(`Delete "${graph.name}"? This cannot be undone.`)) return;
+            graphs.splice(index, 1);
+        }
+
+        saveGraphs();
+        const shownIndex = graphs.indexOf(shownGraph);
+        if (shownIndex === -1) {
+            // The graph on screen was deleted; show its neighbour instead.
+            currentGraphIndex = index;
+            showCurrentGraph();
+        } else {
+            currentGraphIndex = shownIndex;
+            graphTitle.textContent = shownGraph.name;
+        }
+        renderLibrary();
+    }
+
+    // === Import / Export ===
+    const IO_HINTS = {
+        json: 'The app\'s own format: { "name", "directed", "nodes": [{ "id", "label" }], "links": [{ "source", "target", "weight" }] }.',
+        matrix: 'One row per line, entries separated by spaces or commas. 0 means no edge; other values become edge weights. A bracketed matrix may use null for "no edge" instead, and 0 is then a weight. An asymmetric matrix is imported as a directed graph. An optional first line # labels: ["A", "B", …] names the vertices.',
+        edgelist: 'One edge per line as "u v" or "u v weight". A line with a single vertex adds it without edges. Vertex names that are not numbers become labels. Text after # is ignored, except that a first line ending in "(directed)", as the export writes, marks the graph directed.',
+        dot: 'A Graphviz graph { a -- b } or digraph { a -> b }. Vertex label= attributes become labels. Edge weights are read from weight=, or from a numeric label=.',
+        graphml: 'A GraphML <graph> with <node> and <edge> elements. Edge weights are read from a data key named "weight".'
+    };
+
+    // The parsers leave the name unset when the text does not give one.
+    function withDefaultName(graph) {
+        if (!graph.name) graph.name = `Imported Graph ${graphs.length + 1}`;
+        return graph;
+    }
+
+    function openIoDialog() {
+        showIoError(null);
+        updateIoFormat();
+        ioModal.classList.remove('hidden');
+        ioModal.classList.add('flex');
+        ioText.focus();
+    }
+
+    function closeIoDialog() {
+        ioModal.classList.add('hidden');
+        ioModal.classList.remove('flex');
+    }
+
+    function updateIoFormat() {
+        ioHint.textContent = IO_HINTS[ioFormat.value];
+        ioDirectedLabel.classList.toggle('hidden', ioFormat.value !== 'edgelist');
+        ioDirectedLabel.classList.toggle('flex', ioFormat.value === 'edgelist');
+    }
+
+    function showIoError(message) {
+        ioError.textContent = message || '';
+        ioError.classList.toggle('hidden', !message);
+    }
+
+    function setSearchMode(mode) {
+        searchMode = mode;
+        modeSelect.value = mode;
+        endVertexLabel.classList.toggle('hidden', searchMode !== 'path-fixed');
+        updateVerifyControls();
+        if (searchMode === 'tsp') {
+            // TSP keeps only the cheapest tour, so enumerating all of them does not apply.
+            findAllCheckbox.checked = false;
+            findAll = false;
+        }
+    }
+
+    // === Graph Generator ===
+    // Generators place vertices in the unit square; generateGraph scales them to the canvas.
+    function circlePoint(i, n, radius = 0.45) {
+        const angle = (2 * Math.PI * i) / n - Math.PI / 2;
+        return { x: 0.5 + radius * Math.cos(angle), y: 0.5 + radius * Math.sin(angle) };
+    }
+
+    function latticePoint(row, col, rows, cols) {
+        const span = Math.max(rows, cols);
+        return { x: 0.5 + (col - (cols - 1) / 2) / span, y: 0.5 + (row - (rows - 1) / 2) / span };
+    }
+
+    const GENERATORS = {
+        complete: {
+            params: [{ key: 'n', label: 'Vertices', min: 1, max: 20, value: 5 }],
+            note: 'Kn has a Hamiltonian cycle for every n ≥ 3; it has (n − 1)!/2 of them.',
+            build: ({ n }) => {
+                const nodes = d3.range(n).map(i => ({ id: i, ...circlePoint(i, n) }));
+                const links = [];
+                for (let i = 0; i < n; i++) {
+                    for (let j = i + 1; j < n; j++) links.push({ source: i, target: j });
+                }
+                return { nodes, links, name: `K${n}` };
+            }
+        },
+        cycle: {
+            params: [{ key: 'n', label: 'Vertices', min: 3, max: 60, value: 6 }],
+            note: 'Cn is its own and only Hamiltonian cycle.',
+            build: ({ n }) => ({
+                nodes: d3.range(n).map(i => ({ id: i, ...circlePoint(i, n) })),
+                links: d3.range(n).map(i => ({ source: i, target: (i + 1) % n })),
+                name: `C${n}`
+            })
+        },
+        wheel: {
+            params: [{ key: 'n', label: 'Rim vertices', min: 3, max: 40, value: 6 }],
+            note: 'A hub joined to every vertex of a cycle. Wheels are always Hamiltonian.',
+            build: ({ n }) => ({
+                nodes: [{ id: 0, x: 0.5, y: 0.5 }, ...d3.range(n).map(i => ({ id: i + 1, ...circlePoint(i, n) }))],
+                links: [
+                    ...d3.range(n).map(i => ({ source: 0, target: i + 1 })),
+                    ...d3.range(n).map(i => ({ source: i + 1, target: ((i + 1) % n) + 1 }))
+                ],
+                name: `Wheel W${n + 1}`
+            })
+        },
+        bipartite: {
+            params: [
+                { key: 'm', label: 'Left part', min: 1, max: 15, value: 3 },
+                { key: 'n', label: 'Right part', min: 1, max: 15, value: 3 }
+            ],
+            note: 'Km,n is Hamiltonian exactly when m = n ≥ 2: a cycle must alternate between the parts.',
+            build: ({ m, n }) => {
+                const column = (count, i) => (count === 1 ? 0.5 : 0.1 + (0.8 * i) / (count - 1));
+                const nodes = [
+                    ...d3.range(m).map(i => ({ id: i, x: 0.25, y: column(m, i) })),
+                    ...d3.range(n).map(j => ({ id: m + j, x: 0.75, y: column(n, j) }))
+                ];
+                const links = [];
+                for (let i = 0; i < m; i++) {
+                    for (let j = 0; j < n; j++) links.push({ source: i, target: m + j });
+                }
+                return { nodes, links, name: `K${m},${n}` };
+            }
+        },
+        petersen: {
+            params: [],
+            note: 'The smallest 3-regular graph with no Hamiltonian cycle (it does have a Hamiltonian path).',
+            build: () => ({
+                nodes: [
+                    ...d3.range(5).map(i => ({ id: i, ...circlePoint(i, 5, 0.45) })),
+                    ...d3.range(5).map(i => ({ id: i + 5, ...circlePoint(i, 5, 0.22) }))
+                ],
+                links: [
+                    ...d3.range(5).map(i => ({ source: i, target: (i + 1) % 5 })),
+                    ...d3.range(5).map(i => ({ source: i, target: i + 5 })),
+                    ...d3.range(5).map(i => ({ source: i + 5, target: ((i + 2) % 5) + 5 }))
+                ],
+                name: 'Petersen graph'
+            })
+        },
+        hypercube: {
+            params: [{ key: 'd', label: 'Dimension', min: 1, max: 6, value: 3 }],
+            note: 'Qn is Hamiltonian for n ≥ 2; the Gray code is one such cycle, and it is drawn around the rim.',
+            build: ({ d }) => {
+                const n = 2 ** d;
+                // Vertex g(k) = k ^ (k >> 1) sits at rim position k, so consecutive rim vertices differ in one bit.
+                const nodes = d3.range(n).map(k => ({ id: k ^ (k >> 1), ...circlePoint(k, n) }))
+                    .sort((a, b) => a.id - b.id);
+                const links = [];
+                for (let v = 0; v < n; v++) {
+                    for (let bit = 0; bit < d; bit++) {
+                        const u = v ^ (1 << bit);
+                        if (v < u) links.push({ source: v, target: u });
+                    }
+                }
+                return { nodes, links, name: `Hypercube Q${d}` };
+            }
+        },
+        grid: {
+            params: [
+                { key: 'rows', label: 'Rows', min: 1, max: 12, value: 3 },
+                { key: 'cols', label: 'Columns', min: 1, max: 12, value: 4 }
+            ],
+            note: 'A grid has a Hamiltonian cycle exactly when both sides are at least 2 and rows × columns is even.',
+            build: ({ rows, cols }) => {
+                const nodes = [];
+                const links = [];
+                for (let r = 0; r < rows; r++) {
+                    for (let c = 0; c < cols; c++) {
+                        const id = r * cols + c;
+                        nodes.push({ id, ...latticePoint(r, c, rows, cols) });
+                        if (c + 1 < cols) links.push({ source: id, target: id + 1 });
+                        if (r + 1 < rows) links.push({ source: id, target: id + cols });
+                    }
+                }
+                return { nodes, links, name: `Grid ${rows}×${cols}` };
+            }
+        },
+        knight: {
+            params: [
+                { key: 'rows', label: 'Rows', min: 1, max: 10, value: 5 },
+                { key: 'cols', label: 'Columns', min: 1, max: 10, value: 6 }
+            ],
+            note: 'Squares joined by knight moves. By Schwenk\'s theorem an m×n board (m ≤ n) has a closed tour unless m and n are both odd, m is 1, 2 or 4, or m = 3 and n is 4, 6 or 8.',
+            build: ({ rows, cols }) => {
+                const nodes = [];
+                const links = [];
+                const moves = [[1, 2], [2, 1], [1, -2], [2, -1]]; // Forward moves only, so each edge is added once.
+                for (let r = 0; r < rows; r++) {
+                    for (let c = 0; c < cols; c++) {
+                        nodes.push({ id: r * cols + c, ...latticePoint(r, c, rows, cols) });
+                        for (const [dr, dc] of moves) {
+                            const r2 = r + dr, c2 = c + dc;
+                            if (r2 < rows && c2 >= 0 && c2 < cols) links.push({ source: r * cols + c, target: r2 * cols + c2 });
+                        }
+                    }
+                }
+                return { nodes, links, name: `Knight's graph ${rows}×${cols}` };
+            }
+        },
+        gnp: {
+            params: [
+                { key: 'n', label: 'Vertices', min: 1, max: 60, value: 10 },
+                { key: 'p', label: 'Edge probability', min: 0, max: 1, value: 0.4, step: 0.05 },
+                { key: 'seed', label: 'Seed', min: 0, max: 2 ** 32 - 1, value: 42 }
+            ],
+            note: 'Each edge appears independently with probability p. The same seed always gives the same graph; Hamiltonicity sets in around p ≈ (ln n + ln ln n) / n.',
+            build: ({ n, p, seed }) => {
+                const random = mulberry32(seed);
+                const links = [];
+                for (let i = 0; i < n; i++) {
+                    for (let j = i + 1; j < n; j++) {
+                        if (random() < p) links.push({ source: i, target: j });
+                    }
+                }
+                return { nodes: d3.range(n).map(i => ({ id: i, ...circlePoint(i, n) })), links, name: `G(${n}, ${p}) seed ${seed}` };
+            }
+        }
+    };
+
+    function renderGeneratorParams() {
+        const spec = GENERATORS[generatorFamily.value];
+        generatorParams.innerHTML = '';
+        spec.params.forEach(param => {
+            const label = document.createElement('label');
+            label.className = 'text-sm font-medium text-violet-700 flex flex-col gap-1';
+            label.textContent = param.label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.dataset.param = param.key;
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step || 1;
+            input.value = param.value;
+            input.className = 'rounded-lg border border-violet-200 px-2 py-1 text-sm text-gray-800';
+            label.appendChild(input);
+            generatorParams.appendChild(label);
+        });
+        generatorNote.textContent = spec.note;
+        showGeneratorError(null);
+    }
+
+    function readGeneratorParams(spec) {
+        const values = {};
+        for (const param of spec.params) {
+            const input = generatorParams.querySelector(`[data-param="${param.key}"]`);
+            const value = Number(input.value);
+            const whole = !param.step;
+            if (input.value.trim() === '' || !Number.isFinite(value) || value < param.min || value > param.max || (whole && !Number.isInteger(value))) {
+                throw new Error(`${param.label} must be ${whole ? 'a whole number' : 'a number'} from ${param.min} to ${param.max}.`);
+            }
+            values[param.key] = value;
+        }
+        return values;
+    }
+
+    function generateGraph(family, values) {
+        const graph = GENERATORS[family].build(values);
+        const width = visContainer.clientWidth;
+        const height = visContainer.clientHeight;
+        const size = Math.min(width, height) * 0.9;
+        graph.nodes.forEach(n => {
+            n.x = Math.round((width - size) / 2 + n.x * size);
+            n.y = Math.round((height - size) / 2 + n.y * size);
+        });
+        return graph;
+    }
+
+    function openGenerator() {
+        renderGeneratorParams();
+        generatorModal.classList.remove('hidden');
+        generatorModal.classList.add('flex');
+    }
+
+    function closeGenerator() {
+        generatorModal.classList.add('hidden');
+        generatorModal.classList.remove('flex');
+    }
+
+    function showGeneratorError(message) {
+        generatorError.textContent = message || '';
+        generatorError.classList.toggle('hidden', !message);
+    }
+
+    // === Shareable Links ===
+    // The fragment carries the graph (with the layout as drawn) and the run settings as
+    // base64url-encoded JSON, so a link works from a static file with no backend.
+    function encodeShareState() {
+        const graph = graphs[currentGraphIndex];
+        const drawnNodes = node ? node.data() : graph.nodes;
+        const state = {
+            graph: serializeGraph({ ...graph, nodes: drawnNodes }),
+            mode: searchMode,
+            start: startVertexId,
+            speed: parseInt(speedSlider.value, 10)
+        };
+        if (searchMode === 'path-fixed') state.end = endVertexId;
+        if (neighborOrder !== 'index') {
+            state.order = neighborOrder;
+            state.seed = orderSeed;
+        }
+
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        const binary = Array.from(bytes, b => String.fromCharCode(b)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
     }
 
-    function deleteLink(link) {
-        editorLinks = editorLinks.filter(l => l !== link);
-        drawEditorGraph();
+    function decodeShareState(encoded) {
+        let json;
+        try {
+            const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+            json = new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+        } catch (err) {
+            throw new Error('the link is truncated or was not produced by this app.');
+        }
+        let state;
+        try {
+            state = JSON.parse(json);
+        } catch (err) {
+            throw new Error('the link is truncated or was not produced by this app.');
+        }
+        if (!state || typeof state !== 'object' || !state.graph) throw new Error('the link does not contain a graph.');
+        return state;
     }
 
-    function drawEditorGraph() {
-        svgEl.selectAll("*").remove(); 
-        
-        const width = visContainer.clientWidth;
-        const height = visContainer.clientHeight;
-        svgEl.attr("viewBox", [0, 0, width, height]);
+    // Applies a shared link from the URL fragment. Returns an error message, or null when
+    // there was nothing to restore or the restore succeeded.
+    function restoreSharedLink() {
+        if (!location.hash.startsWith(SHARE_PREFIX)) return null;
+        let state, graph;
+        try {
+            state = decodeShareState(location.hash.slice(SHARE_PREFIX.length));
+            graph = withDefaultName(parseJsonGraph(JSON.stringify(state.graph)));
+        } catch (err) {
+            return `The shared link could not be opened: ${err.message}`;
+        }
 
-        if (editorSimulation) {
-            editorSimulation.stop();
+        // Reopening the same link should not pile up copies in the library.
+        const key = JSON.stringify(serializeGraph(graph));
+        let index = graphs.findIndex(g => JSON.stringify(serializeGraph(g)) === key);
+        if (index === -1) {
+            graphs.push(graph);
+            index = graphs.length - 1;
+            saveGraphs();
         }
+        currentGraphIndex = index;
 
-        editorSimulation = d3.forceSimulation(editorNodes)
-            .force("link", d3.forceLink(editorLinks).id(d => d.id).distance(100))
-            .force("charge", d3.forceManyBody().strength(-400))
-            .force("center", d3.forceCenter(width / 2, height / 2))
-            .on("tick", ticked);
+        const speed = Number(state.speed);
+        if (Number.isFinite(speed)) {
+            speedSlider.value = Math.min(Math.max(speed, Number(speedSlider.min)), Number(speedSlider.max));
+        }
+        if ([...modeSelect.options].some(o => o.value === state.mode)) setSearchMode(state.mode);
+        // populateVertexSelects keeps these when they name vertices of the restored graph.
+        if (state.start !== undefined) startVertexId = state.start;
+        if (state.end !== undefined) endVertexId = state.end;
+        if ([...orderSelect.options].some(o => o.value === state.order)) {
+            orderSelect.value = neighborOrder = state.order;
+            orderSeedLabel.classList.toggle('hidden', neighborOrder !== 'random');
+            if (Number.isInteger(state.seed) && state.seed >= 0) orderSeedInput.value = orderSeed = state.seed;
+        }
+        return null;
+    }
 
-        const editorLink = svgEl.append("g")
+    async function copyShareLink() {
+        if (graphs.length === 0) return;
+        const url = `${location.href.split('#')[0]}${SHARE_PREFIX}${encodeShareState()}`;
+        history.replaceState(null, '', url);
+        try {
+            await navigator.clipboard.writeText(url);
+            shareBtn.textContent = 'Link Copied!';
+            setTimeout(() => { shareBtn.textContent = 'Copy Link'; }, 1500);
+        } catch (err) {
+            prompt('Copy this link:', url);
+        }
+    }
+
+    function openSharedLink() {
+        const error = restoreSharedLink();
+        showCurrentGraph();
+        if (error) logStep(error, "backtrack");
+    }
+
+    // === Comparison View ===
+    // Runs two configurations on the current graph and problem and steps them in lockstep.
+    // Both traces come from the regular builders, given each side's settings in place of the
+    // main panel's; the main run's state is left alone.
+    function compareEl(side, role) {
+        return document.getElementById(`compare-${side.key}-${role}`);
+    }
+
+    // A side's settings; the ones it has no control for come from the main panel.
+    function readCompareConfig(side) {
+        const settings = runSettings();
+        compareEl(side, 'heuristics').querySelectorAll('input[data-heuristic]').forEach(cb => {
+            settings.heuristics[cb.dataset.heuristic] = cb.checked;
+        });
+        settings.algorithm = compareEl(side, 'algorithm').value;
+        settings.order = compareEl(side, 'order').value;
+        // Both sides are traced for playback, so the animated-view limits apply.
+        settings.computeOnly = false;
+        // Held–Karp keeps a single optimal tour; see the algorithm select listener.
+        if (settings.algorithm === 'held-karp') settings.findAll = false;
+        return settings;
+    }
+
+    function buildCompareTrace(settings) {
+        const problem = runProblem(settings);
+        if (problem) return { trace: [], messages: [], error: problem };
+        const { trace: steps } = buildTrace(settings);
+        return { trace: steps, messages: steps.map(step => describeStep(step, settings)), error: null };
+    }
+
+    // Running totals per step, counted the same way as statsAt.
+    function compareCounts(steps) {
+        const totals = { expanded: 0, backtracks: 0, pruned: 0 };
+        return steps.map(step => {
+            if (step.type === 'start' || step.type === 'visit' || step.type === 'dp-cell') totals.expanded++;
+            if (step.type === 'backtrack') totals.backtracks++;
+            if (step.type === 'prune') totals.pruned++;
+            return { ...totals };
+        });
+    }
+
+    // Copies the main drawing (current positions, no simulation) into a comparison svg.
+    function drawCompareGraph(side) {
+        const svg = side.svg;
+        svg.selectAll("*").remove();
+        svg.attr("viewBox", svgEl.attr("viewBox"));
+        const links = link ? link.data() : [];
+        const nodes = node ? node.data() : [];
+
+        svg.append("g")
             .attr("class", "links")
             .selectAll("line")
-            .data(editorLinks)
+            .data(links)
             .enter().append("line")
             .attr("class", "link")
-            .classed('delete-hover', isDeleteMode)
-            .on('click', handleEditorLinkClick);
+            .classed("directed", !!currentGraph.directed)
+            .attr("data-link", d => `${d.source.id}-${d.target.id}`)
+            .attr("x1", d => linkCoords(d)[0])
+            .attr("y1", d => linkCoords(d)[1])
+            .attr("x2", d => linkCoords(d)[2])
+            .attr("y2", d => linkCoords(d)[3]);
+
+        if (currentGraph.links.some(l => l.weight !== undefined) || searchMode === 'tsp') {
+            positionLinkLabels(appendLinkLabels(links, svg));
+        }
 
-        const editorNode = svgEl.append("g")
+        const nodeGroups = svg.append("g")
             .attr("class", "nodes")
             .selectAll("g")
-            .data(editorNodes)
+            .data(nodes)
             .enter().append("g")
             .attr("class", "node")
-            .attr("id", d => `node-${d.id}`)
-            .classed('selected', d => d.id === selectedNodeId)
-            .classed('delete-hover', isDeleteMode)
-            .on('click', handleEditorNodeClick)
-            .call(d3.drag()
-                .on("start", dragstarted)
-                .on("drag", dragged)
-                .on("end", dragended));
-        
-        // --- MODIFICATION HERE ---
-        editorNode.append("circle")
-            .attr("r", 18); // Set radius as attribute
-        // --- END MODIFICATION ---
-        
-        editorNode.append("text")
-            .text(d => d.id);
+            .attr("data-node", d => d.id)
+            .attr("transform", d => `translate(${d.x},${d.y})`);
+        nodeGroups.append("circle").attr("r", 18);
+        nodeGroups.append("text").text(displayLabel);
+    }
 
-        function ticked() {
-            editorLink
-                .attr("x1", d => d.source.x)
-                .attr("y1", d => d.source.y)
-                .attr("x2", d => d.target.x)
-                .attr("y2", d => d.target.y);
-            
-            editorNode
-                .attr("transform", d => `translate(${d.x},${d.y})`);
-        }
+    function openCompare() {
+        if (graphs.length === 0) return;
+        const problem = modeSelect.options[modeSelect.selectedIndex].text;
+        compareSubtitle.textContent = `${problem} on "${currentGraph.name}", starting at ${nodeLabel(startVertexId)}. Settings not shown here are taken from the main panel.`;
+        compareSides.forEach(side => {
+            side.trace = [];
+            side.messages = [];
+            side.counts = [];
+            side.error = null;
+            drawCompareGraph(side);
+        });
+        compareIndex = -1;
+        compareLength = 0;
+        showCompareStep(0);
+        compareModal.classList.remove('hidden');
+        compareModal.classList.add('flex');
+    }
 
-        function dragstarted(event, d) {
-            if (!event.active) editorSimulation.alphaTarget(0.3).restart();
-            d.fx = d.x; d.fy = d.y;
-        }
-        function dragged(event, d) {
-            d.fx = event.x; d.fy = event.y;
-        }
-        function dragended(event, d) {
-            if (!event.active) editorSimulation.alphaTarget(0);
-            d.fx = d.x; d.fy = d.y; 
-        }
+    function closeCompare() {
+        pauseCompare();
+        compareModal.classList.add('hidden');
+        compareModal.classList.remove('flex');
     }
 
-    function handleEditorNodeClick(event, d) {
-        event.stopPropagation(); 
-        event.preventDefault();
+    function runComparison() {
+        pauseCompare();
+        compareSides.forEach(side => {
+            Object.assign(side, buildCompareTrace(readCompareConfig(side)));
+            side.counts = compareCounts(side.trace);
+        });
+        compareLength = Math.max(...compareSides.map(side => side.trace.length));
+        compareIndex = -1;
+        showCompareStep(0);
+    }
 
-        if (isDeleteMode) {
-            deleteNode(d.id);
+    // Both sides move to the same step number; a side whose trace is shorter stays on its last step.
+    function showCompareStep(index) {
+        index = Math.max(0, Math.min(index, compareLength - 1));
+        compareSides.forEach(side => renderCompareSide(side, Math.min(index, side.trace.length - 1)));
+        compareIndex = compareLength > 0 ? index : -1;
+
+        compareSlider.disabled = compareLength === 0;
+        compareSlider.max = Math.max(compareLength - 1, 0);
+        compareSlider.value = Math.max(compareIndex, 0);
+        compareStepLabel.textContent = compareLength > 0 ? `${compareIndex + 1} / ${compareLength}` : '0 / 0';
+        compareBackBtn.disabled = compareIndex <= 0;
+        compareForwardBtn.disabled = compareIndex >= compareLength - 1;
+        comparePlayBtn.disabled = compareLength === 0;
+    }
+
+    function renderCompareSide(side, index) {
+        const log = compareEl(side, 'log');
+        if (side.error || index < 0) {
+            clearHighlights(side.svg);
+            const li = document.createElement('li');
+            li.className = side.error ? 'text-red-600 text-sm' : 'text-gray-500 italic text-sm';
+            li.textContent = side.error || "Click 'Run Both' to start.";
+            log.replaceChildren(li);
+            side.logItems = [];
+            ['steps', 'expanded', 'backtracks', 'pruned'].forEach(role => { compareEl(side, role).textContent = side.error ? '-' : 0; });
             return;
         }
 
-        if (!selectedNodeForConnection) {
-            selectedNodeForConnection = d;
-            selectedNodeId = d.id;
-            d3.select(event.currentTarget).classed('selected', true);
-        } else {
-            if (selectedNodeId === d.id) {
-                selectedNodeForConnection = null;
-                selectedNodeId = null;
-                d3.select(event.currentTarget).classed('selected', false);
-            } else {
-                const sourceNode = selectedNodeForConnection;
-                const targetNode = d;
-                
-                const linkExists = editorLinks.some(l => 
-                    (l.source.id === sourceNode.id && l.target.id === targetNode.id) ||
-                    (l.source.id === targetNode.id && l.target.id === sourceNode.id)
-                );
-
-                if (!linkExists) {
-                    editorLinks.push({ source: sourceNode, target: targetNode });
-                }
+        if (side.logItems.length === 0) log.innerHTML = '';
+        while (side.logItems.length > index + 1) side.logItems.pop().remove();
+        for (let i = side.logItems.length; i <= index; i++) {
+            const [message, type] = side.messages[i];
+            const li = document.createElement('li');
+            li.className = LOG_CLASSES[type];
+            li.textContent = message;
+            log.appendChild(li);
+            side.logItems.push(li);
+        }
+        log.scrollTop = log.scrollHeight;
+
+        paintStep(side.trace[index], side.svg);
+        const counts = side.counts[index];
+        compareEl(side, 'steps').textContent = `${index + 1}${index === side.trace.length - 1 ? ' ✓' : ''}`;
+        compareEl(side, 'expanded').textContent = counts.expanded;
+        compareEl(side, 'backtracks').textContent = counts.backtracks;
+        compareEl(side, 'pruned').textContent = counts.pruned;
+    }
 
-                selectedNodeId = null;
-                selectedNodeForConnection = null;
-                drawEditorGraph();
+    function playCompare() {
+        if (compareLength === 0) return;
+        if (compareIndex >= compareLength - 1) showCompareStep(0);
+        comparePlayBtn.textContent = 'Pause';
+        const tick = () => {
+            if (compareIndex >= compareLength - 1) {
+                pauseCompare();
+                return;
             }
-        }
+            showCompareStep(compareIndex + 1);
+            compareTimer = setTimeout(tick, 1500 - parseInt(speedSlider.value, 10));
+        };
+        compareTimer = setTimeout(tick, 1500 - parseInt(speedSlider.value, 10));
     }
 
-    function handleEditorLinkClick(event, d) {
-        event.stopPropagation();
-        event.preventDefault();
-        
-        if (isDeleteMode) {
-            deleteLink(d);
-        }
+    function pauseCompare() {
+        clearTimeout(compareTimer);
+        compareTimer = null;
+        comparePlayBtn.textContent = 'Play';
     }
 
     // === Event Listeners ===
     startBtn.addEventListener('click', startVisualization);
     
     resetBtn.addEventListener('click', () => {
-        if (isVisualizing) {
+        if (searchWorker) {
+            resetAlgorithmState();
+            logStep("Computation cancelled by user.", "backtrack");
+        } else if (isVisualizing) {
             stopVisualization = true; 
         } else {
             clearLogs();
@@ -712,14 +3079,249 @@ document.addEventListener('DOMContentLoaded', () => {
         // No-op, speed is read directly
     });
 
+    treeToggleBtn.addEventListener('click', () => {
+        treePanel.classList.toggle('hidden');
+        treePanel.classList.toggle('flex');
+        updateRecursionTree();
+    });
+
+    heuristicCheckboxes.forEach(cb => cb.addEventListener('change', () => {
+        heuristics[cb.dataset.heuristic] = cb.checked;
+        resetAlgorithmState();
+    }));
+
+    layoutSelect.addEventListener('change', () => {
+        const graph = graphs[currentGraphIndex];
+        if (!graph || isVisualizing) return;
+        if (layoutSelect.value === 'manual') {
+            // Manual starts from whatever is on screen now.
+            saveManualLayout(graph, simulation.nodes());
+        } else {
+            graph.layout = layoutSelect.value;
+            saveGraphs();
+        }
+        drawGraph(graph);
+    });
+
+    algorithmSelect.addEventListener('change', () => {
+        algorithm = algorithmSelect.value;
+        if (algorithm === 'held-karp') {
+            // The DP finds one optimal tour, so enumerating all of them does not apply.
+            findAllCheckbox.checked = false;
+            findAll = false;
+        }
+        resetAlgorithmState();
+    });
+
+    modeSelect.addEventListener('change', () => {
+        setSearchMode(modeSelect.value);
+        resetAlgorithmState();
+        updateLinkLabels();
+    });
+
+    startVertexSelect.addEventListener('change', () => {
+        startVertexId = vertexIdFromSelect(startVertexSelect);
+        markStartVertex();
+        resetAlgorithmState();
+    });
+
+    orderSelect.addEventListener('change', () => {
+        neighborOrder = orderSelect.value;
+        orderSeedLabel.classList.toggle('hidden', neighborOrder !== 'random');
+        resetAlgorithmState();
+    });
+
+    orderSeedInput.addEventListener('change', () => {
+        const seed = Number(orderSeedInput.value);
+        orderSeed = Number.isInteger(seed) && seed >= 0 ? seed : 1;
+        orderSeedInput.value = orderSeed;
+        resetAlgorithmState();
+    });
+
+    endVertexSelect.addEventListener('change', () => {
+        endVertexId = vertexIdFromSelect(endVertexSelect);
+        resetAlgorithmState();
+    });
+
+    findAllCheckbox.addEventListener('change', () => {
+        findAll = findAllCheckbox.checked;
+        resetAlgorithmState();
+    });
+
+    computeCheckbox.addEventListener('change', () => {
+        computeOnly = computeCheckbox.checked;
+        resetAlgorithmState();
+    });
+
+    verifyBtn.addEventListener('click', () => setVerifyMode(!isVerifyMode));
+    verifyUndoBtn.addEventListener('click', undoVerifyVertex);
+    verifyClearBtn.addEventListener('click', clearVerifySequence);
+    verifyCheckBtn.addEventListener('click', checkCertificate);
+
+    analysisList.addEventListener('click', (e) => {
+        const li = e.target.closest('li[data-analysis]');
+        if (li) selectAnalysisItem(li.dataset.analysis);
+    });
+
+    solutionsList.addEventListener('click', (e) => {
+        const li = e.target.closest('li[data-solution]');
+        if (li) showSolution(parseInt(li.dataset.solution, 10));
+    });
+
+    timelineSlider.addEventListener('input', () => {
+        seekTo(parseInt(timelineSlider.value, 10));
+    });
+
+    stepsLog.addEventListener('click', (e) => {
+        const li = e.target.closest('li[data-step]');
+        if (li) seekTo(parseInt(li.dataset.step, 10));
+    });
+
+    libraryBtn.addEventListener('click', () => {
+        if (!isEditMode && !isVisualizing) openLibrary();
+    });
+
+    libraryCloseBtn.addEventListener('click', closeLibrary);
+
+    libraryModal.addEventListener('click', (e) => {
+        if (e.target === libraryModal) {
+            closeLibrary();
+            return;
+        }
+        const button = e.target.closest('button[data-action]');
+        const li = e.target.closest('li[data-index]');
+        if (button && li) handleLibraryAction(button.dataset.action, parseInt(li.dataset.index, 10));
+    });
+
+    ioBtn.addEventListener('click', () => {
+        if (!isEditMode && !isVisualizing) openIoDialog();
+    });
+
+    ioCloseBtn.addEventListener('click', closeIoDialog);
+
+    ioModal.addEventListener('click', (e) => {
+        if (e.target === ioModal) closeIoDialog();
+    });
+
+    ioFormat.addEventListener('change', () => {
+        updateIoFormat();
+        showIoError(null);
+    });
+
+    ioExportBtn.addEventListener('click', () => {
+        if (graphs.length === 0) {
+            showIoError('There is no graph to export.');
+            return;
+        }
+        const graph = graphs[currentGraphIndex];
+        ioText.value = formatGraphText(graph, ioFormat.value);
+        ioDirected.checked = !!graph.directed;
+        showIoError(null);
+    });
+
+    ioCopyBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(ioText.value);
+            ioCopyBtn.textContent = 'Copied!';
+        } catch (err) {
+            ioText.select();
+            ioCopyBtn.textContent = 'Press Ctrl+C';
+        }
+        setTimeout(() => { ioCopyBtn.textContent = 'Copy'; }, 1500);
+    });
+
+    ioImportBtn.addEventListener('click', () => {
+        let graph;
+        try {
+            graph = withDefaultName(parseGraphText(ioText.value, ioFormat.value, ioDirected.checked));
+        } catch (err) {
+            showIoError(err.message);
+            return;
+        }
+        graphs.push(graph);
+        currentGraphIndex = graphs.length - 1;
+        saveGraphs();
+        closeIoDialog();
+        showCurrentGraph();
+        logNote(`Imported "${graph.name}" with ${graph.nodes.length} vertices and ${graph.links.length} ${graph.directed ? 'arcs' : 'edges'}.`, "success");
+    });
+
+    generatorBtn.addEventListener('click', () => {
+        if (!isEditMode && !isVisualizing) openGenerator();
+    });
+
+    generatorCloseBtn.addEventListener('click', closeGenerator);
+
+    generatorModal.addEventListener('click', (e) => {
+        if (e.target === generatorModal) closeGenerator();
+    });
+
+    generatorFamily.addEventListener('change', renderGeneratorParams);
+
+    compareBtn.addEventListener('click', () => {
+        if (!isEditMode && !isVisualizing) openCompare();
+    });
+
+    compareCloseBtn.addEventListener('click', closeCompare);
+
+    compareModal.addEventListener('click', (e) => {
+        if (e.target === compareModal) closeCompare();
+    });
+
+    compareRunBtn.addEventListener('click', runComparison);
+
+    compareBackBtn.addEventListener('click', () => {
+        pauseCompare();
+        showCompareStep(compareIndex - 1);
+    });
+
+    compareForwardBtn.addEventListener('click', () => {
+        pauseCompare();
+        showCompareStep(compareIndex + 1);
+    });
+
+    comparePlayBtn.addEventListener('click', () => {
+        if (compareTimer !== null) pauseCompare();
+        else playCompare();
+    });
+
+    compareSlider.addEventListener('input', () => {
+        pauseCompare();
+        showCompareStep(parseInt(compareSlider.value, 10));
+    });
+
+    generatorCreateBtn.addEventListener('click', () => {
+        let graph;
+        try {
+            graph = generateGraph(generatorFamily.value, readGeneratorParams(GENERATORS[generatorFamily.value]));
+        } catch (err) {
+            showGeneratorError(err.message);
+            return;
+        }
+        graphs.push(graph);
+        currentGraphIndex = graphs.length - 1;
+        saveGraphs();
+        closeGenerator();
+        showCurrentGraph();
+        logNote(`Generated ${graph.name} with ${graph.nodes.length} vertices and ${graph.links.length} edges.`, "success");
+    });
+
+    shareBtn.addEventListener('click', () => {
+        if (!isEditMode) copyShareLink();
+    });
+
+    window.addEventListener('hashchange', () => {
+        if (!isEditMode && !isVisualizing && location.hash.startsWith(SHARE_PREFIX)) openSharedLink();
+    });
+
     prevBtn.addEventListener('click', () => {
-        if (isVisualizing || isEditMode) return;
+        if (isVisualizing || isEditMode || graphs.length === 0) return;
         currentGraphIndex = (currentGraphIndex - 1 + graphs.length) % graphs.length;
         drawGraph(graphs[currentGraphIndex]);
     });
 
     nextBtn.addEventListener('click', () => {
-        if (isVisualizing || isEditMode) return;
+        if (isVisualizing || isEditMode || graphs.length === 0) return;
         currentGraphIndex = (currentGraphIndex + 1) % graphs.length;
         drawGraph(graphs[currentGraphIndex]);
     });
@@ -744,6 +3346,31 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    directedCheckbox.addEventListener('change', () => {
+        if (!isEditMode) return;
+        recordEditorHistory();
+        editorDirected = directedCheckbox.checked;
+        if (!editorDirected) {
+            // Collapse arc pairs u -> v / v -> u into a single undirected edge.
+            const seen = new Set();
+            editorLinks = editorLinks.filter(l => {
+                const key = [l.source.id, l.target.id].sort((a, b) => a - b).join('-');
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+        drawEditorGraph();
+    });
+
+    deleteSelectedBtn.addEventListener('click', deleteSelectedNodes);
+    cliqueBtn.addEventListener('click', connectSelectionAsClique);
+    complementBtn.addEventListener('click', complementEditorGraph);
+    clearEdgesBtn.addEventListener('click', clearEditorEdges);
+
+    undoBtn.addEventListener('click', undoEdit);
+    redoBtn.addEventListener('click', redoEdit);
+
     deleteBtn.addEventListener('click', () => {
         if (!isEditMode) return;
         isDeleteMode = !isDeleteMode; 
@@ -787,8 +3414,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const resizeObserver = new ResizeObserver(() => {
         if (isEditMode) {
             drawEditorGraph();
-        } else if (!isVisualizing && graphs[currentGraphIndex]) {
-            drawGraph(graphs[currentGraphIndex]);
+        } else {
+            resizeCanvas();
         }
     });
     resizeObserver.observe(visContainer);
@@ -815,23 +3442,57 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     document.addEventListener('keydown', (e) => {
-        if (isVisualizing && isPaused) {
+        if (e.key === 'Escape' && !libraryModal.classList.contains('hidden')) {
+            closeLibrary();
+            return;
+        }
+        if (e.key === 'Escape' && !ioModal.classList.contains('hidden')) {
+            closeIoDialog();
+            return;
+        }
+        if (e.key === 'Escape' && !generatorModal.classList.contains('hidden')) {
+            closeGenerator();
+            return;
+        }
+        // Keys typed into a form control belong to it, apart from Escape closing a dialog.
+        const inField = e.target.isContentEditable || (e.target.closest && e.target.closest('input, select, textarea'));
+        if (!compareModal.classList.contains('hidden')) {
+            if (e.key === 'Escape') closeCompare();
+            if (!inField && (e.key === 'ArrowRight' || e.key === 'ArrowLeft') && compareLength > 0) {
+                pauseCompare();
+                showCompareStep(compareIndex + (e.key === 'ArrowRight' ? 1 : -1));
+            }
+            return;
+        }
+        if (inField) return;
+        if (isEditMode && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) redoEdit();
+            else undoEdit();
+            return;
+        }
+        if (isEditMode && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') {
+            e.preventDefault();
+            redoEdit();
+            return;
+        }
+        if (isEditMode && (e.key === 'Delete' || e.key === 'Backspace') && editorSelection.size > 0) {
+            e.preventDefault();
+            deleteSelectedNodes();
+            return;
+        }
+        const canStep = !isEditMode && trace.length > 0 && (isPaused || !isVisualizing);
+        if (canStep) {
             if (e.key === 'ArrowRight') {
-                logStep("Stepping forward...", "info");
-                stepForward = true;
-                isPaused = false; 
+                showStep(traceIndex + 1);
             } else if (e.key === 'ArrowLeft') {
-                logStep("Step backward is not possible with this recursive algorithm.", "backtrack");
+                showStep(traceIndex - 1);
             }
         }
     });
 
     // === Initial Load ===
-    if (graphs.length > 0) {
-         drawGraph(graphs[currentGraphIndex]);
-    } else {
-         graphTitle.textContent = "No graphs loaded";
-         editGraphBtn.classList.add('hidden');
-    }
+    loadGraphs();
+    openSharedLink();
 
 });
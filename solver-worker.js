@@ -0,0 +1,37 @@
+// Runs the solver off the main thread for the "compute result" mode. The page posts
+// { graph, algorithm, options } once and gets back 'progress' messages, then one 'result'.
+// Cancelling terminates the worker, so there is no message for it.
+importScripts('solver.js');
+
+const PROGRESS_INTERVAL = 250; // ms between progress messages
+const CHECK_EVERY = 1024; // events between clock reads; Date.now() per event would dominate
+
+self.onmessage = (e) => {
+    const { graph, algorithm, options } = e.data;
+    const started = Date.now();
+    const totals = { expanded: 0, backtracks: 0, maxDepth: 0 };
+    let lastReport = { time: started, expanded: 0 };
+    let events = 0;
+
+    const done = HamiltonianSolver.solve(graph, { ...options, algorithm }, step => {
+        // Counted the same way as the statistics panel: one expansion per visited partial path
+        // (backtracking) or per filled table cell (Held–Karp).
+        let depth = null;
+        if (step.type === 'start' || step.type === 'visit') depth = step.path.length - 1;
+        if (step.type === 'dp-cell') depth = step.subset.length;
+        if (depth !== null) {
+            totals.expanded++;
+            if (depth > totals.maxDepth) totals.maxDepth = depth;
+        }
+        if (step.type === 'backtrack') totals.backtracks++;
+
+        if (++events % CHECK_EVERY !== 0) return;
+        const now = Date.now();
+        if (now - lastReport.time < PROGRESS_INTERVAL) return;
+        const rate = (totals.expanded - lastReport.expanded) / ((now - lastReport.time) / 1000);
+        self.postMessage({ type: 'progress', ...totals, depth: step.path.length, rate, elapsed: now - started });
+        lastReport = { time: now, expanded: totals.expanded };
+    });
+
+    self.postMessage({ type: 'result', done, ...totals, elapsed: Date.now() - started });
+};
@@ -0,0 +1,598 @@
+// Headless Hamiltonian cycle / path / TSP solver. Nothing in here touches the DOM or D3:
+// each algorithm is a generator of step events. The visualizer records them into its trace,
+// and Node (tests, scripts) or a worker can run the same search without any animation.
+//
+// Loads as a CommonJS module under Node and as the global `HamiltonianSolver` in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HamiltonianSolver = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MODES = ['cycle', 'path', 'path-fixed', 'tsp'];
+    const ORDERS = ['index', 'degree-asc', 'degree-desc', 'random'];
+    const TRACE_LIMIT = 'trace-limit';
+
+    // === Graph Helpers ===
+    function linkWeight(link) {
+        return link.weight !== undefined ? link.weight : 1;
+    }
+
+    // Links store ids, except after a D3 force layout has swapped them for the node objects.
+    function endpointId(end) {
+        return typeof end === 'object' && end !== null ? end.id : end;
+    }
+
+    // Adjacency matrix plus the matching weight matrix (Infinity where there is no edge).
+    // Rows and columns follow the order of graph.nodes; links to unknown ids are ignored.
+    function buildAdjMatrix(graph) {
+        const n = graph.nodes.length;
+        const adj = Array.from({ length: n }, () => Array(n).fill(0));
+        const weights = Array.from({ length: n }, () => Array(n).fill(Infinity));
+        const indexOf = new Map(graph.nodes.map((node, i) => [node.id, i]));
+
+        for (const link of graph.links) {
+            const s = indexOf.get(endpointId(link.source));
+            const t = indexOf.get(endpointId(link.target));
+            if (s === undefined || t === undefined) continue;
+            adj[s][t] = 1;
+            weights[s][t] = linkWeight(link);
+            if (!graph.directed) {
+                adj[t][s] = 1;
+                weights[t][s] = linkWeight(link);
+            }
+        }
+        return { adj, weights, indexOf, ids: graph.nodes.map(node => node.id) };
+    }
+
+    // Deterministic PRNG (mulberry32) so the same seed always reproduces the same sequence.
+    function mulberry32(seed) {
+        let a = seed >>> 0;
+        return function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // === Search State ===
+    // Options (all optional):
+    //   mode       'cycle' | 'path' | 'path-fixed' | 'tsp'
+    //   start, end vertex ids; a cycle starts at `start`, a free path tries it first
+    //   findAll    keep going after a solution and report every distinct one
+    //   heuristics { degree, connectivity, deadEnd, warnsdorff } booleans
+    //   order      'index' | 'degree-asc' | 'degree-desc' | 'random', with `seed`
+    //   maxSteps   stop with a truncated result after this many events
+    function createContext(graph, options = {}) {
+        const { adj, weights, indexOf, ids } = buildAdjMatrix(graph);
+        const n = ids.length;
+        const mode = MODES.includes(options.mode) ? options.mode : 'cycle';
+        const order = ORDERS.includes(options.order) ? options.order : 'index';
+        return {
+            directed: !!graph.directed,
+            adj, weights, indexOf, ids, n, mode,
+            tour: mode === 'cycle' || mode === 'tsp',
+            findAll: !!options.findAll && mode !== 'tsp',
+            heuristics: { degree: false, connectivity: false, deadEnd: false, warnsdorff: false, ...options.heuristics },
+            order,
+            random: order === 'random' ? mulberry32(Number.isInteger(options.seed) ? options.seed : 1) : null,
+            degrees: adj.map((row, v) => row.filter((a, w) => a === 1 || adj[w][v] === 1).length),
+            startIdx: indexOf.has(options.start) ? indexOf.get(options.start) : 0,
+            endIdx: mode === 'path-fixed' && indexOf.has(options.end) ? indexOf.get(options.end) : -1,
+            maxSteps: options.maxSteps !== undefined ? options.maxSteps : Infinity,
+            steps: 0,
+            path: [],
+            visited: Array(n).fill(false),
+            pathCost: 0,
+            best: null, // { path, cost } of the cheapest tour so far (TSP mode)
+            prunes: {}, // heuristic -> branches cut so far; replaced (not mutated) on every prune
+            solutionKeys: [],
+            solutions: []
+        };
+    }
+
+    // Every event carries the path (and TSP cost, best tour and prune counts) as they are after it,
+    // so a player can jump to any recorded event without replaying the ones before.
+    function event(ctx, type, details = {}) {
+        if (ctx.steps >= ctx.maxSteps) throw TRACE_LIMIT;
+        ctx.steps++;
+        return { type, path: ctx.path.slice(), cost: ctx.pathCost, best: ctx.best, prunes: ctx.prunes, ...details };
+    }
+
+    function pruneEvent(ctx, heuristic, details) {
+        ctx.prunes = { ...ctx.prunes, [heuristic]: (ctx.prunes[heuristic] || 0) + 1 };
+        return event(ctx, 'prune', { heuristic, ...details });
+    }
+
+    function doneEvent(ctx, found, truncated) {
+        return {
+            type: 'done', path: ctx.path.slice(), cost: ctx.pathCost, found, truncated,
+            count: ctx.solutions.length, solutions: ctx.solutions.slice(), best: ctx.best, prunes: ctx.prunes
+        };
+    }
+
+    // === Backtracking Search ===
+    // Yields explore / visit / backtrack / prune events, then cycle-found, path-found or
+    // tour-found, and always ends with a single 'done' event.
+    function* search(graph, options) {
+        const ctx = createContext(graph, options);
+        const { ids, n } = ctx;
+
+        // A cycle can start anywhere, so it starts at the chosen vertex. A free path has to try
+        // every start vertex; the chosen one goes first.
+        let starts = ctx.mode === 'path'
+            ? [ctx.startIdx, ...ids.map((id, i) => i).filter(i => i !== ctx.startIdx)]
+            : [ctx.startIdx];
+        if (n === 0) starts = [];
+
+        let found = false;
+        let truncated = false;
+        try {
+            if (ctx.heuristics.degree) {
+                const weak = lowDegreeVertices(ctx);
+                if (weak.length > 0) {
+                    yield pruneEvent(ctx, 'degree', { vertices: weak.map(i => ids[i]) });
+                    starts = [];
+                }
+            }
+
+            for (const s of starts) {
+                ctx.path = [ids[s]];
+                ctx.pathCost = 0;
+                ctx.visited = Array(n).fill(false);
+                ctx.visited[s] = true;
+                yield event(ctx, 'start', { to: ids[s] });
+
+                if (yield* extend(ctx, s)) {
+                    found = true;
+                    break;
+                }
+            }
+        } catch (err) {
+            if (err !== TRACE_LIMIT) throw err;
+            truncated = true;
+        }
+
+        if (ctx.findAll) {
+            found = ctx.solutions.length > 0;
+            if (found) ctx.path = ctx.solutions[0].slice();
+        }
+        if (ctx.mode === 'tsp') {
+            found = ctx.best !== null;
+            if (found) {
+                ctx.path = ctx.best.path.slice();
+                ctx.pathCost = ctx.best.cost;
+            }
+        }
+        yield doneEvent(ctx, found, truncated);
+    }
+
+    // Grows the path from vertex u. Returns true once a solution ends the search.
+    function* extend(ctx, u) {
+        const { adj, weights, ids, n } = ctx;
+        const startIdx = ctx.indexOf.get(ctx.path[0]);
+
+        if (ctx.path.length === n) {
+            if (ctx.mode === 'tsp') {
+                yield* closeTour(ctx, u, startIdx);
+                return false;
+            }
+            if (ctx.mode !== 'cycle') {
+                return yield* recordSolution(ctx, 'path-found', { to: ids[u] });
+            }
+            if (adj[u][startIdx] === 1 && canClose(ctx)) {
+                return yield* recordSolution(ctx, 'cycle-found', { from: ids[u], to: ctx.path[0] });
+            }
+            return false;
+        }
+
+        for (const v of nextCandidates(ctx, u)) {
+            // With fixed endpoints the end vertex may only be entered as the very last one.
+            if (v === ctx.endIdx && ctx.path.length < n - 1) continue;
+
+            const previousCost = ctx.pathCost;
+            const nextCost = ctx.pathCost + weights[u][v];
+
+            if (ctx.mode === 'tsp' && ctx.best && nextCost >= ctx.best.cost) {
+                yield pruneEvent(ctx, 'bound', { from: ids[u], to: ids[v], cost: nextCost, bound: ctx.best.cost });
+                continue;
+            }
+
+            const cut = checkHeuristics(ctx, v, startIdx);
+            if (cut) {
+                yield pruneEvent(ctx, cut.heuristic, { from: ids[u], to: ids[v], vertices: cut.vertices.map(i => ids[i]) });
+                continue;
+            }
+
+            const details = { from: ids[u], to: ids[v], cost: nextCost };
+            if (ctx.heuristics.warnsdorff) details.onward = onwardMoves(ctx, v);
+            yield event(ctx, 'explore', details);
+
+            ctx.visited[v] = true;
+            ctx.path.push(ids[v]);
+            ctx.pathCost = nextCost;
+            yield event(ctx, 'visit', { from: ids[u], to: ids[v] });
+
+            if (yield* extend(ctx, v)) return true;
+
+            ctx.path.pop();
+            ctx.visited[v] = false;
+            ctx.pathCost = previousCost;
+            yield event(ctx, 'backtrack', { from: ids[u], to: ids[v] });
+        }
+        return false;
+    }
+
+    // Records a complete cycle or path. In "find all" mode the search carries on afterwards,
+    // so this returns false and the caller backtracks as if the branch had failed.
+    function* recordSolution(ctx, type, details) {
+        if (!ctx.findAll) {
+            yield event(ctx, type, details);
+            return true;
+        }
+
+        const key = solutionKey(ctx, ctx.path);
+        let index = ctx.solutionKeys.indexOf(key);
+        const duplicate = index !== -1;
+        if (!duplicate) {
+            ctx.solutionKeys.push(key);
+            ctx.solutions.push(ctx.path.slice());
+            index = ctx.solutions.length - 1;
+        }
+        yield event(ctx, type, { ...details, solution: index, duplicate });
+        return false;
+    }
+
+    // Cycles all start from the same vertex, so rotations never show up; what is left to
+    // collapse is the same tour walked the other way round (undirected graphs only).
+    function solutionKey(ctx, ids) {
+        const variants = [ids];
+        if (!ctx.directed && ctx.mode !== 'path-fixed') {
+            variants.push(ctx.mode === 'cycle'
+                ? [ids[0], ...ids.slice(1).reverse()]
+                : ids.slice().reverse());
+        }
+        return variants.map(v => v.join(',')).sort()[0];
+    }
+
+    // An undirected cycle needs 3 vertices: closing u-v-u would walk the same edge twice. The arcs
+    // u -> v and v -> u are different, so a directed graph may close a 2-cycle.
+    function canClose(ctx) {
+        return ctx.directed || ctx.n >= 3;
+    }
+
+    // Branch and bound: a closed tour only replaces the best one if it is strictly cheaper.
+    function* closeTour(ctx, u, startIdx) {
+        if (ctx.adj[u][startIdx] !== 1 || !canClose(ctx)) return;
+
+        const cost = ctx.pathCost + ctx.weights[u][startIdx];
+        if (ctx.best && cost >= ctx.best.cost) {
+            yield pruneEvent(ctx, 'bound', { from: ctx.ids[u], to: ctx.path[0], cost, bound: ctx.best.cost, closing: true });
+            return;
+        }
+        ctx.best = { path: ctx.path.slice(), cost };
+        yield event(ctx, 'tour-found', { from: ctx.ids[u], to: ctx.path[0], cost });
+    }
+
+    // === Pruning Heuristics ===
+    // Unvisited neighbours of u in the chosen neighbor order. Warnsdorff's rule (fewest onward
+    // moves first) is applied on top; the sort is stable, so the chosen order breaks its ties.
+    function nextCandidates(ctx, u) {
+        const { adj, visited, degrees, n } = ctx;
+        const candidates = [];
+        for (let v = 0; v < n; v++) {
+            if (adj[u][v] === 1 && !visited[v]) candidates.push(v);
+        }
+        if (ctx.order === 'degree-asc') candidates.sort((a, b) => degrees[a] - degrees[b]);
+        if (ctx.order === 'degree-desc') candidates.sort((a, b) => degrees[b] - degrees[a]);
+        if (ctx.order === 'random') {
+            for (let i = candidates.length - 1; i > 0; i--) {
+                const j = Math.floor(ctx.random() * (i + 1));
+                [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+            }
+        }
+        if (ctx.heuristics.warnsdorff) {
+            const moves = new Map(candidates.map(v => [v, onwardMoves(ctx, v)]));
+            candidates.sort((a, b) => moves.get(a) - moves.get(b));
+        }
+        return candidates;
+    }
+
+    function onwardMoves(ctx, v) {
+        let count = 0;
+        for (let w = 0; w < ctx.n; w++) {
+            if (w !== v && ctx.adj[v][w] === 1 && !ctx.visited[w]) count++;
+        }
+        return count;
+    }
+
+    // A cycle needs every vertex to have a way in and a way out; a path only rules out isolated vertices.
+    function lowDegreeVertices(ctx) {
+        const { adj, n } = ctx;
+        const weak = [];
+        for (let v = 0; v < n; v++) {
+            let outDegree = 0;
+            let inDegree = 0;
+            for (let w = 0; w < n; w++) {
+                outDegree += adj[v][w];
+                inDegree += adj[w][v];
+            }
+            const tooFew = !ctx.tour
+                ? n > 1 && outDegree + inDegree === 0
+                : ctx.directed ? outDegree < 1 || inDegree < 1 : outDegree < 2;
+            if (tooFew) weak.push(v);
+        }
+        return weak;
+    }
+
+    // Tries the enabled prunes with v tentatively added to the path. Returns { heuristic, vertices } or null.
+    function checkHeuristics(ctx, v, startIdx) {
+        if (!ctx.heuristics.connectivity && !ctx.heuristics.deadEnd) return null;
+
+        ctx.visited[v] = true;
+        let cut = null;
+        if (ctx.heuristics.connectivity) {
+            const stranded = unreachableVertices(ctx, v);
+            if (stranded.length > 0) cut = { heuristic: 'connectivity', vertices: stranded };
+        }
+        if (!cut && ctx.heuristics.deadEnd) {
+            const stuck = deadEndVertices(ctx, v, startIdx);
+            if (stuck.length > 0) cut = { heuristic: 'deadEnd', vertices: stuck };
+        }
+        ctx.visited[v] = false;
+        return cut;
+    }
+
+    // The rest of the path runs from `current` through every unvisited vertex, so all of them
+    // must still be reachable from it without passing through visited ones.
+    function unreachableVertices(ctx, current) {
+        const { adj, visited, n } = ctx;
+        const seen = new Set([current]);
+        const queue = [current];
+        while (queue.length > 0) {
+            const x = queue.shift();
+            for (let y = 0; y < n; y++) {
+                if (adj[x][y] === 1 && !visited[y] && !seen.has(y)) {
+                    seen.add(y);
+                    queue.push(y);
+                }
+            }
+        }
+        const stranded = [];
+        for (let w = 0; w < n; w++) {
+            if (!visited[w] && !seen.has(w)) stranded.push(w);
+        }
+        return stranded;
+    }
+
+    // Every unvisited vertex still needs a free neighbour to enter from and one to leave to.
+    // Only the final vertex of a path may do without the second one.
+    function deadEndVertices(ctx, current, startIdx) {
+        const { adj, visited, n, tour, endIdx } = ctx;
+        const canComeFrom = x => !visited[x] || x === current;
+        const canGoTo = y => !visited[y] || (tour && y === startIdx);
+        const stuck = [];
+        const looseEnds = [];
+
+        for (let w = 0; w < n; w++) {
+            if (visited[w]) continue;
+
+            let ins = 0;
+            let outs = 0;
+            let neighbors = 0;
+            for (let x = 0; x < n; x++) {
+                if (x === w) continue;
+                const enter = adj[x][w] === 1 && canComeFrom(x);
+                const leave = adj[w][x] === 1 && canGoTo(x);
+                if (enter) ins++;
+                if (leave) outs++;
+                if (enter || leave) neighbors++;
+            }
+
+            // Directed: an arc in and an arc out. Undirected: two distinct free neighbours.
+            const hasEntry = ctx.directed ? ins > 0 : neighbors > 0;
+            const hasExit = ctx.directed ? outs > 0 : neighbors > 1;
+            if (!hasEntry) {
+                stuck.push(w);
+            } else if (!hasExit) {
+                if (tour || (endIdx !== -1 && w !== endIdx)) stuck.push(w);
+                else looseEnds.push(w);
+            }
+        }
+        // A path can only end at one of the vertices that have a single way left.
+        if (looseEnds.length > 1) stuck.push(...looseEnds);
+        return stuck;
+    }
+
+    // === Held–Karp Dynamic Programming ===
+    // dp[mask][j] is the cheapest path that leaves the start vertex (position 0), visits exactly
+    // the vertices in `mask` and ends at j. Positions put the chosen start vertex first and then
+    // follow graph.nodes; bit i of a mask stands for the vertex at position i. The 'start' event
+    // lists the vertex ids in position order. Only the cycle and TSP modes apply.
+    function* heldKarp(graph, options) {
+        const ctx = createContext(graph, options);
+        const { n } = ctx;
+        const order = [ctx.startIdx, ...ctx.ids.map((id, i) => i).filter(i => i !== ctx.startIdx)];
+        const ids = order.map(i => ctx.ids[i]);
+        const startId = ids[0];
+        // Plain cycle search counts every edge as 1, so any finite tour is a Hamiltonian cycle.
+        const cost = (u, v) => ctx.mode === 'tsp'
+            ? ctx.weights[order[u]][order[v]]
+            : (ctx.adj[order[u]][order[v]] === 1 ? 1 : Infinity);
+
+        const full = (1 << n) - 2;
+        const dp = Array.from({ length: full + 1 }, () => new Array(n).fill(Infinity));
+        const parent = Array.from({ length: full + 1 }, () => new Array(n).fill(-1));
+        const subsetIds = mask => ids.filter((id, i) => mask & (1 << i));
+
+        const reconstruct = (mask, j) => {
+            const tail = [];
+            while (j > 0) {
+                tail.unshift(ids[j]);
+                const k = parent[mask][j];
+                mask &= ~(1 << j);
+                j = k;
+            }
+            return [startId, ...tail];
+        };
+
+        if (n === 0) {
+            yield doneEvent(ctx, false, false);
+            return;
+        }
+
+        let truncated = false;
+        let bestEnd = -1;
+        try {
+            ctx.path = [startId];
+            yield event(ctx, 'start', { to: startId, order: ids });
+
+            const masks = [];
+            for (let mask = 2; mask <= full; mask += 2) masks.push(mask);
+            masks.sort((a, b) => popcount(a) - popcount(b) || a - b);
+
+            for (const mask of masks) {
+                for (let j = 1; j < n; j++) {
+                    if (!(mask & (1 << j))) continue;
+
+                    const rest = mask & ~(1 << j);
+                    let value = Infinity;
+                    let from = -1;
+                    if (rest === 0) {
+                        value = cost(0, j);
+                        from = 0;
+                    } else {
+                        for (let k = 1; k < n; k++) {
+                            if (!(rest & (1 << k))) continue;
+                            const candidate = dp[rest][k] + cost(k, j);
+                            if (candidate < value) {
+                                value = candidate;
+                                from = k;
+                            }
+                        }
+                    }
+                    dp[mask][j] = value;
+                    parent[mask][j] = value < Infinity ? from : -1;
+
+                    ctx.path = value < Infinity ? reconstruct(mask, j) : [startId];
+                    ctx.pathCost = Number.isFinite(value) ? value : 0;
+                    yield event(ctx, 'dp-cell', {
+                        mask, column: j, to: ids[j], value,
+                        via: value < Infinity ? ids[from] : null,
+                        subset: subsetIds(mask)
+                    });
+                }
+            }
+
+            for (let j = 1; j < n; j++) {
+                const value = canClose(ctx) ? dp[full][j] + cost(j, 0) : Infinity;
+                ctx.path = dp[full][j] < Infinity ? reconstruct(full, j) : [startId];
+                const improved = value < Infinity && (!ctx.best || value < ctx.best.cost);
+                if (improved) {
+                    ctx.best = { path: ctx.path.slice(), cost: value };
+                    bestEnd = j;
+                }
+                yield event(ctx, 'dp-close', { from: ids[j], to: startId, value, improved });
+            }
+
+            // Walk the parent pointers back from the winning cell to show where the tour comes from.
+            let mask = full;
+            let j = bestEnd;
+            while (j > 0) {
+                ctx.path = reconstruct(mask, j);
+                yield event(ctx, 'dp-reconstruct', { mask, column: j, to: ids[j], via: ids[parent[mask][j]], subset: subsetIds(mask) });
+                const k = parent[mask][j];
+                mask &= ~(1 << j);
+                j = k;
+            }
+        } catch (err) {
+            if (err !== TRACE_LIMIT) throw err;
+            truncated = true;
+        }
+
+        const found = ctx.best !== null;
+        ctx.path = found ? ctx.best.path.slice() : [startId];
+        ctx.pathCost = found ? ctx.best.cost : 0;
+        yield doneEvent(ctx, found, truncated);
+    }
+
+    function popcount(mask) {
+        let count = 0;
+        for (; mask; mask &= mask - 1) count++;
+        return count;
+    }
+
+    // === Certificate Check ===
+    // Verifies a proposed Hamiltonian cycle or path (a list of vertex ids) instead of searching
+    // for one: one pass over the sequence with constant-time lookups, so polynomial in n.
+    // Yields 'check-edge' for every hop (the closing one last, for cycles), 'check-vertex' for
+    // every position, 'check-missing', 'check-endpoints' in path-fixed mode, and ends with a
+    // single 'verified' event listing every problem found. Options: mode, start, end.
+    // A cycle may be written with its start repeated at the end; that last hop is the closing one.
+    function* verify(graph, proposed, options = {}) {
+        const { adj, indexOf, ids } = buildAdjMatrix(graph);
+        const mode = MODES.includes(options.mode) ? options.mode : 'cycle';
+        const closed = mode === 'cycle' || mode === 'tsp';
+        const repeatsStart = closed && proposed.length > 1 && proposed[proposed.length - 1] === proposed[0];
+        const sequence = repeatsStart ? proposed.slice(0, -1) : proposed;
+        const problems = [];
+        const seen = new Set();
+
+        const checkEdge = (from, to, closing) => {
+            const ok = indexOf.has(from) && indexOf.has(to) && adj[indexOf.get(from)][indexOf.get(to)] === 1;
+            if (!ok) problems.push({ type: 'non-edge', from, to, closing });
+            return { type: 'check-edge', from, to, closing, ok };
+        };
+
+        for (let i = 0; i < sequence.length; i++) {
+            const v = sequence[i];
+            if (i > 0) yield checkEdge(sequence[i - 1], v, false);
+            let problem = null;
+            if (!indexOf.has(v)) problem = 'unknown';
+            else if (seen.has(v)) problem = 'repeat';
+            seen.add(v);
+            if (problem) problems.push({ type: problem, vertex: v, position: i });
+            yield { type: 'check-vertex', vertex: v, position: i, problem, ok: problem === null };
+        }
+        // A single vertex would close on itself, which no graph here has an edge for. Two vertices
+        // of an undirected graph would close over the one edge between them a second time.
+        if (closed && sequence.length === 2 && !graph.directed) {
+            const [to, from] = sequence;
+            problems.push({ type: 'reused-edge', from, to });
+            yield { type: 'check-edge', from, to, closing: true, ok: false, reused: true };
+        } else if (closed && sequence.length > 0) {
+            yield checkEdge(sequence[sequence.length - 1], sequence[0], true);
+        }
+
+        const missing = ids.filter(id => !seen.has(id));
+        if (missing.length > 0) problems.push({ type: 'missing', vertices: missing });
+        yield { type: 'check-missing', missing, ok: missing.length === 0 };
+
+        if (mode === 'path-fixed') {
+            const ok = sequence[0] === options.start && sequence[sequence.length - 1] === options.end;
+            if (!ok) problems.push({ type: 'endpoints', start: options.start, end: options.end });
+            yield { type: 'check-endpoints', start: options.start, end: options.end, ok };
+        }
+
+        yield { type: 'verified', valid: problems.length === 0, problems, sequence: sequence.slice(), mode };
+    }
+
+    // Runs an algorithm to the end and returns its 'done' event, calling onStep(event) for every
+    // event on the way when given.
+    function solve(graph, options = {}, onStep = null) {
+        const steps = options.algorithm === 'held-karp' ? heldKarp(graph, options) : search(graph, options);
+        let last = null;
+        for (const step of steps) {
+            if (onStep) onStep(step);
+            last = step;
+        }
+        return last;
+    }
+
+    return { buildAdjMatrix, mulberry32, search, heldKarp, solve, verify, linkWeight };
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAdjMatrix } = require('../solver.js');
+const { degrees, components, cutVertices, bipartition, dirac, ore, analyze } = require('../analysis.js');
+const { graphFrom, complete, cycle, completeBipartite, petersen, twoTriangles } = require('./helpers.js');
+
+const adjOf = graph => buildAdjMatrix(graph).adj;
+
+// Two triangles sharing vertex 2 (a "bowtie").
+const bowtie = () => graphFrom(5, [[0, 1], [1, 2], [2, 0], [2, 3], [3, 4], [4, 2]]);
+
+test('degrees count each neighbour once, arcs in either direction', () => {
+    assert.deepEqual(degrees(adjOf(completeBipartite(2, 3))), [3, 3, 2, 2, 2]);
+    assert.deepEqual(degrees(adjOf(graphFrom(3, [[0, 1], [1, 0], [1, 2]], { directed: true }))), [1, 2, 1]);
+});
+
+test('components lists each connected piece', () => {
+    assert.deepEqual(components(adjOf(twoTriangles())), [[0, 1, 2], [3, 4, 5]]);
+    assert.deepEqual(components(adjOf(cycle(4))), [[0, 1, 2, 3]]);
+    assert.deepEqual(components(adjOf(graphFrom(3, []))), [[0], [1], [2]]);
+});
+
+test('cutVertices finds articulation points', () => {
+    assert.deepEqual(cutVertices(adjOf(bowtie())), [2]);
+    assert.deepEqual(cutVertices(adjOf(graphFrom(4, [[0, 1], [1, 2], [2, 3]]))), [1, 2]);
+    assert.deepEqual(cutVertices(adjOf(cycle(6))), []);
+    assert.deepEqual(cutVertices(adjOf(petersen())), []);
+});
+
+test('bipartition splits K(m,n) into its parts', () => {
+    const { bipartite, sides } = bipartition(adjOf(completeBipartite(2, 3)));
+    assert.equal(bipartite, true);
+    assert.deepEqual(sides, [0, 0, 1, 1, 1]);
+});
+
+test('bipartition returns an odd cycle of the graph when there is one', () => {
+    for (const graph of [cycle(5), cycle(7), petersen(), complete(4)]) {
+        const adj = adjOf(graph);
+        const { bipartite, oddCycle } = bipartition(adj);
+        assert.equal(bipartite, false);
+        assert.equal(oddCycle.length % 2, 1);
+        assert.equal(new Set(oddCycle).size, oddCycle.length);
+        oddCycle.forEach((u, i) => assert.equal(adj[u][oddCycle[(i + 1) % oddCycle.length]], 1));
+    }
+});
+
+test('Dirac and Ore hold for complete graphs and fail for long cycles', () => {
+    assert.equal(dirac(adjOf(complete(5))).holds, true);
+    assert.equal(ore(adjOf(complete(5))).holds, true);
+    const c6 = adjOf(cycle(6));
+    assert.deepEqual(dirac(c6), { holds: false, threshold: 3, short: [0, 1, 2, 3, 4, 5] });
+    assert.equal(ore(c6).holds, false);
+    assert.deepEqual(ore(c6).failing[0], [0, 2]);
+});
+
+test('Ore can hold where Dirac fails', () => {
+    // K4 plus vertex 4 joined to 0 and 1: deg 4 = 2 < 5/2, but 2 + 4 >= 5 for every non-adjacent pair.
+    const graph = complete(4);
+    graph.nodes.push({ id: 4 });
+    graph.links.push({ source: 4, target: 0 }, { source: 4, target: 1 });
+    const adj = adjOf(graph);
+    assert.equal(dirac(adj).holds, false);
+    assert.deepEqual(dirac(adj).short, [4]);
+    assert.equal(ore(adj).holds, true);
+});
+
+test('Dirac and Ore need at least 3 vertices', () => {
+    const k2 = adjOf(complete(2));
+    assert.equal(dirac(k2).holds, false);
+    assert.equal(ore(k2).holds, false);
+});
+
+test('analyze rules out a cycle for each necessary condition that fails', () => {
+    assert.deepEqual(analyze(adjOf(completeBipartite(2, 3))).reasons, ['unequal-parts']);
+    assert.deepEqual(analyze(adjOf(bowtie())).reasons, ['cut-vertex']);
+    assert.deepEqual(analyze(adjOf(twoTriangles())).reasons, ['disconnected']);
+    assert.deepEqual(analyze(adjOf(graphFrom(3, [[0, 1], [1, 2]]))).reasons, ['low-degree', 'cut-vertex', 'unequal-parts']);
+    assert.equal(analyze(adjOf(twoTriangles())).verdict, 'ruled-out');
+    assert.deepEqual(analyze(adjOf(complete(2))).reasons, ['too-small']);
+    assert.deepEqual(analyze(adjOf(complete(2)), true).reasons, []);
+});
+
+test('analyze guarantees a cycle only for undirected graphs meeting Dirac or Ore', () => {
+    assert.equal(analyze(adjOf(complete(5))).verdict, 'guaranteed');
+    assert.equal(analyze(adjOf(complete(5)), true).verdict, 'open');
+    assert.equal(analyze(adjOf(petersen())).verdict, 'open');
+    assert.equal(analyze(adjOf(completeBipartite(3, 3))).verdict, 'guaranteed');
+});
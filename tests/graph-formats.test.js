@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGraphText, formatGraphText } = require('../graph-formats.js');
+const { serializeGraph } = require('../graph-model.js');
+const { graphFrom, complete, cycle } = require('./helpers.js');
+
+const roundTrip = (graph, format) => parseGraphText(formatGraphText(graph, format), format, false);
+
+// Edges as sorted "u-v:weight" keys, so edge order and (when undirected) endpoint order do not matter.
+function edgeKeys(graph) {
+    return graph.links.map(l => {
+        const ends = graph.directed ? [l.source, l.target] : [l.source, l.target].sort((a, b) => a - b);
+        return `${ends.join('-')}:${l.weight}`;
+    }).sort();
+}
+
+test('json keeps the whole saved graph', () => {
+    const graph = { ...cycle(4), name: 'C4', directed: true, layout: 'circular' };
+    graph.nodes[2].label = 'C';
+    graph.links[0].weight = 2.5;
+    assert.deepEqual(serializeGraph(roundTrip(graph, 'json')), serializeGraph(graph));
+});
+
+test('matrix, edge list and dot keep the edges and weights', () => {
+    const weighted = { ...complete(4), name: 'K4' };
+    weighted.links.forEach((l, i) => { l.weight = i + 1; });
+    const arcs = graphFrom(3, [[0, 1], [1, 2], [2, 0], [1, 0]], { directed: true, name: 'Arcs' });
+    for (const format of ['matrix', 'edgelist', 'dot']) {
+        for (const graph of [{ ...cycle(5), name: 'C5' }, weighted]) {
+            assert.deepEqual(edgeKeys(roundTrip(graph, format)), edgeKeys(graph), format);
+        }
+    }
+    // The matrix and dot formats say themselves whether the graph is directed.
+    for (const format of ['matrix', 'dot']) {
+        const back = roundTrip(arcs, format);
+        assert.equal(back.directed, true, format);
+        assert.deepEqual(edgeKeys(back), edgeKeys(arcs), format);
+    }
+});
+
+test('an edge list keeps a directed graph directed through its header line', () => {
+    const arcs = graphFrom(3, [[0, 1], [1, 2], [2, 0]], { directed: true, name: 'Arcs' });
+    const text = formatGraphText(arcs, 'edgelist');
+    assert.equal(text.split('\n')[0], '# Arcs (directed)');
+    const back = parseGraphText(text, 'edgelist', false);
+    assert.equal(back.directed, true);
+    assert.deepEqual(edgeKeys(back), edgeKeys(arcs));
+    assert.equal(parseGraphText('# notes\n0 1', 'edgelist', false).directed, undefined);
+});
+
+test('a matrix marks missing edges with null once an edge weighs 0', () => {
+    const graph = graphFrom(3, [[0, 1], [1, 2]]);
+    graph.links[0].weight = 0;
+    graph.links[1].weight = 3;
+    const text = formatGraphText(graph, 'matrix');
+    assert.match(text, /null/);
+    assert.deepEqual(edgeKeys(parseGraphText(text, 'matrix', false)), ['0-1:0', '1-2:3']);
+    assert.deepEqual(parseGraphText('[[null,1],[1,null]]', 'matrix', false).links, [{ source: 0, target: 1 }]);
+});
+
+test('parse errors name the line or entry at fault', () => {
+    assert.throws(() => parseGraphText('0 1\n1 x', 'matrix', false), /Row 2, column 2/);
+    assert.throws(() => parseGraphText('a b\nb c -3', 'edgelist', false), /Line 2/);
+    assert.throws(() => parseGraphText('graph { a -> b }', 'dot', false), /Line 1/);
+    assert.throws(() => parseGraphText('a a', 'edgelist', false), /self-loop/);
+});
+
+test('the name is left unset when the text gives none', () => {
+    assert.equal(parseGraphText('0 1\n1 0', 'matrix', false).name, undefined);
+    assert.equal(parseGraphText('graph "G" { a -- b }', 'dot', false).name, 'G');
+});
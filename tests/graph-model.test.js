@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { linkExists, deleteNode, deleteNodes, missingLinks, complementLinks, serializeGraph, restoreGraphs } = require('../graph-model.js');
+const { graphFrom, complete, cycle } = require('./helpers.js');
+
+const edgeIds = graph => graph.links.map(l => [l.source.id ?? l.source, l.target.id ?? l.target]);
+
+// The editor's links point at node objects once D3 has laid them out.
+function resolved(graph) {
+    const byId = new Map(graph.nodes.map(n => [n.id, n]));
+    return { ...graph, links: graph.links.map(l => ({ ...l, source: byId.get(l.source), target: byId.get(l.target) })) };
+}
+
+test('deleteNode removes the vertex and every edge touching it', () => {
+    const after = deleteNode(complete(4), 2);
+    assert.deepEqual(after.nodes.map(n => n.id), [0, 1, 3]);
+    assert.deepEqual(edgeIds(after), [[0, 1], [0, 3], [1, 3]]);
+});
+
+test('deleteNode handles node-object endpoints and leaves the input alone', () => {
+    const graph = resolved(cycle(4));
+    const after = deleteNode(graph, 0);
+    assert.deepEqual(edgeIds(after), [[1, 2], [2, 3]]);
+    assert.equal(graph.nodes.length, 4);
+    assert.equal(graph.links.length, 4);
+});
+
+test('deleteNode keeps the other graph fields', () => {
+    const after = deleteNode(graphFrom(2, [[0, 1]], { directed: true, name: 'G' }), 1);
+    assert.equal(after.directed, true);
+    assert.equal(after.name, 'G');
+    assert.deepEqual(after.links, []);
+});
+
+test('deleteNodes removes a whole selection', () => {
+    const after = deleteNodes(complete(5), [1, 3]);
+    assert.deepEqual(after.nodes.map(n => n.id), [0, 2, 4]);
+    assert.deepEqual(edgeIds(after), [[0, 2], [0, 4], [2, 4]]);
+});
+
+test('linkExists ignores direction only in undirected graphs', () => {
+    const edges = [[0, 1]];
+    assert.equal(linkExists(graphFrom(2, edges), 1, 0), true);
+    assert.equal(linkExists(graphFrom(2, edges, { directed: true }), 1, 0), false);
+    assert.equal(linkExists(resolved(graphFrom(2, edges)), 0, 1), true);
+});
+
+test('missingLinks fills in a clique on the selection only', () => {
+    const graph = resolved(graphFrom(4, [[0, 1]]));
+    const missing = missingLinks(graph, [0, 1, 2]);
+    assert.deepEqual(edgeIds({ links: missing }), [[0, 2], [1, 2]]);
+    // New links reuse the graph's node objects, like the links D3 has resolved.
+    assert.equal(missing[0].source, graph.nodes[0]);
+});
+
+test('complementLinks swaps edges and non-edges', () => {
+    assert.deepEqual(edgeIds({ links: complementLinks(cycle(4)) }), [[0, 2], [1, 3]]);
+    assert.deepEqual(complementLinks(complete(4)), []);
+    // Directed: one arc per missing ordered pair.
+    assert.equal(complementLinks(graphFrom(3, [[0, 1]], { directed: true })).length, 5);
+});
+
+test('saved graphs round-trip through JSON', () => {
+    const graph = {
+        nodes: [{ id: 0, label: 'A', x: 10.04, y: 20.06 }, { id: 1 }, { id: 4, x: 1, y: 2 }],
+        links: [{ source: 0, target: 1, weight: 2.5 }, { source: 1, target: 4 }],
+        name: 'Saved', directed: true, nextId: 5, layout: 'circular'
+    };
+    const saved = serializeGraph(resolved(graph));
+    const [restored] = restoreGraphs(JSON.parse(JSON.stringify([saved])));
+    assert.deepEqual(restored, {
+        nodes: [{ id: 0, label: 'A', x: 10, y: 20.1 }, { id: 1 }, { id: 4, x: 1, y: 2 }],
+        links: [{ source: 0, target: 1, weight: 2.5 }, { source: 1, target: 4 }],
+        name: 'Saved', directed: true, nextId: 5, layout: 'circular'
+    });
+    assert.deepEqual(serializeGraph(restored), saved);
+});
+
+test('serializeGraph leaves out unset and unknown fields', () => {
+    const saved = serializeGraph({ ...cycle(3), name: 'C3', directed: false, nextId: 2.5, layout: 'spiral' });
+    assert.deepEqual(Object.keys(saved), ['nodes', 'links', 'name']);
+    assert.deepEqual(saved.nodes, [{ id: 0 }, { id: 1 }, { id: 2 }]);
+});
+
+test('restoreGraphs skips malformed entries and names unnamed graphs', () => {
+    const restored = restoreGraphs([null, { nodes: [] }, { nodes: [], links: [] }, { nodes: [], links: [], name: 7 }]);
+    assert.deepEqual(restored.map(g => g.name), ['Untitled Graph', '7']);
+});
+
+test('restoreGraphs returns null when nothing was saved', () => {
+    assert.equal(restoreGraphs(null), null);
+    assert.equal(restoreGraphs({ nodes: [] }), null);
+    assert.deepEqual(restoreGraphs([]), []);
+});
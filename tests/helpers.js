@@ -0,0 +1,41 @@
+// Graph families for the tests. Vertices are numbered 0..n-1.
+function graphFrom(n, edges, extra = {}) {
+    return {
+        nodes: Array.from({ length: n }, (_, id) => ({ id })),
+        links: edges.map(([source, target]) => ({ source, target })),
+        ...extra
+    };
+}
+
+function complete(n) {
+    const edges = [];
+    for (let u = 0; u < n; u++) for (let v = u + 1; v < n; v++) edges.push([u, v]);
+    return graphFrom(n, edges);
+}
+
+function cycle(n) {
+    return graphFrom(n, Array.from({ length: n }, (_, i) => [i, (i + 1) % n]));
+}
+
+// Parts 0..m-1 and m..m+n-1.
+function completeBipartite(m, n) {
+    const edges = [];
+    for (let u = 0; u < m; u++) for (let v = m; v < m + n; v++) edges.push([u, v]);
+    return graphFrom(m + n, edges);
+}
+
+// Outer 5-cycle 0..4, inner pentagram 5..9, spokes i - i+5.
+function petersen() {
+    const edges = [];
+    for (let i = 0; i < 5; i++) {
+        edges.push([i, (i + 1) % 5], [i, i + 5], [i + 5, ((i + 2) % 5) + 5]);
+    }
+    return graphFrom(10, edges);
+}
+
+// Two disjoint triangles.
+function twoTriangles() {
+    return graphFrom(6, [[0, 1], [1, 2], [2, 0], [3, 4], [4, 5], [5, 3]]);
+}
+
+module.exports = { graphFrom, complete, cycle, completeBipartite, petersen, twoTriangles };
@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAdjMatrix, solve, verify } = require('../solver.js');
+const { graphFrom, complete, cycle, completeBipartite, petersen, twoTriangles } = require('./helpers.js');
+
+// Every consecutive pair (and, for a cycle, last-to-first) must be an edge, each vertex used once.
+function assertHamiltonian(graph, path, closed) {
+    const { adj, indexOf } = buildAdjMatrix(graph);
+    assert.equal(path.length, graph.nodes.length);
+    assert.equal(new Set(path).size, path.length);
+    const hops = closed ? path.length : path.length - 1;
+    for (let i = 0; i < hops; i++) {
+        const u = indexOf.get(path[i]);
+        const v = indexOf.get(path[(i + 1) % path.length]);
+        assert.equal(adj[u][v], 1, `${path[i]} - ${path[(i + 1) % path.length]} is not an edge`);
+    }
+}
+
+test('buildAdjMatrix reads id endpoints', () => {
+    const graph = graphFrom(3, [[0, 1], [1, 2]]);
+    graph.links[1].weight = 4;
+    const { adj, weights, indexOf, ids } = buildAdjMatrix(graph);
+    assert.deepEqual(adj, [[0, 1, 0], [1, 0, 1], [0, 1, 0]]);
+    assert.deepEqual(weights, [[Infinity, 1, Infinity], [1, Infinity, 4], [Infinity, 4, Infinity]]);
+    assert.deepEqual(ids, [0, 1, 2]);
+    assert.equal(indexOf.get(2), 2);
+});
+
+test('buildAdjMatrix reads node-object endpoints the same way', () => {
+    const graph = graphFrom(3, [[0, 1], [1, 2]]);
+    const resolved = { ...graph, links: graph.links.map(l => ({ source: graph.nodes[l.source], target: graph.nodes[l.target] })) };
+    assert.deepEqual(buildAdjMatrix(resolved).adj, buildAdjMatrix(graph).adj);
+});
+
+test('buildAdjMatrix indexes rows by node order, not by id', () => {
+    const graph = { nodes: [{ id: 7 }, { id: 3 }], links: [{ source: 3, target: 7 }] };
+    const { adj, indexOf } = buildAdjMatrix(graph);
+    assert.equal(indexOf.get(7), 0);
+    assert.equal(indexOf.get(3), 1);
+    assert.deepEqual(adj, [[0, 1], [1, 0]]);
+});
+
+test('buildAdjMatrix keeps arcs one-way in directed graphs and skips unknown ids', () => {
+    const graph = graphFrom(2, [[0, 1], [1, 5]], { directed: true });
+    assert.deepEqual(buildAdjMatrix(graph).adj, [[0, 1], [0, 0]]);
+});
+
+test('complete graphs K3..K7 have a Hamiltonian cycle', () => {
+    for (let n = 3; n <= 7; n++) {
+        const graph = complete(n);
+        const done = solve(graph, { mode: 'cycle' });
+        assert.equal(done.found, true, `K${n}`);
+        assertHamiltonian(graph, done.path, true);
+    }
+});
+
+test('K5 has (5-1)!/2 = 12 distinct Hamiltonian cycles', () => {
+    const done = solve(complete(5), { mode: 'cycle', findAll: true });
+    assert.equal(done.count, 12);
+});
+
+test('cycle graphs C3..C9 have exactly one Hamiltonian cycle', () => {
+    for (let n = 3; n <= 9; n++) {
+        const graph = cycle(n);
+        const done = solve(graph, { mode: 'cycle', findAll: true });
+        assert.equal(done.count, 1, `C${n}`);
+        assertHamiltonian(graph, done.solutions[0], true);
+    }
+});
+
+test('K(n,n) is Hamiltonian, K(m,n) with m != n is not', () => {
+    for (const [m, n] of [[2, 2], [3, 3], [4, 4]]) {
+        const graph = completeBipartite(m, n);
+        const done = solve(graph, { mode: 'cycle' });
+        assert.equal(done.found, true, `K${m},${n}`);
+        assertHamiltonian(graph, done.path, true);
+    }
+    for (const [m, n] of [[1, 2], [2, 3], [3, 5]]) {
+        assert.equal(solve(completeBipartite(m, n), { mode: 'cycle' }).found, false, `K${m},${n}`);
+    }
+});
+
+test('K(m,m+1) has a Hamiltonian path but no cycle', () => {
+    const graph = completeBipartite(3, 4);
+    const done = solve(graph, { mode: 'path' });
+    assert.equal(done.found, true);
+    assertHamiltonian(graph, done.path, false);
+});
+
+test('the Petersen graph has a Hamiltonian path but no Hamiltonian cycle', () => {
+    const graph = petersen();
+    assert.equal(solve(graph, { mode: 'cycle' }).found, false);
+    assert.equal(solve(graph, { mode: 'cycle', algorithm: 'held-karp' }).found, false);
+    const path = solve(graph, { mode: 'path' });
+    assert.equal(path.found, true);
+    assertHamiltonian(graph, path.path, false);
+});
+
+test('disconnected graphs have neither a Hamiltonian cycle nor a path', () => {
+    const graph = twoTriangles();
+    assert.equal(solve(graph, { mode: 'cycle' }).found, false);
+    assert.equal(solve(graph, { mode: 'path' }).found, false);
+    assert.equal(solve(graph, { mode: 'cycle', algorithm: 'held-karp' }).found, false);
+});
+
+test('an undirected edge is not a cycle, but a directed 2-cycle is', () => {
+    const heuristics = { degree: true };
+    const arcs = graphFrom(2, [[0, 1], [1, 0]], { directed: true });
+    for (const algorithm of ['backtracking', 'held-karp']) {
+        for (const mode of ['cycle', 'tsp']) {
+            assert.equal(solve(complete(2), { mode, algorithm }).found, false, `${algorithm} ${mode}`);
+            assert.equal(solve(complete(2), { mode, algorithm, heuristics }).found, false, `${algorithm} ${mode}`);
+            assert.equal(solve(arcs, { mode, algorithm }).found, true, `${algorithm} ${mode}`);
+        }
+    }
+});
+
+test('pruning heuristics and neighbor orders do not change the answer', () => {
+    const heuristics = { degree: true, connectivity: true, deadEnd: true, warnsdorff: true };
+    const cases = [[complete(6), true], [cycle(7), true], [completeBipartite(3, 3), true],
+        [completeBipartite(2, 3), false], [petersen(), false], [twoTriangles(), false]];
+    for (const [graph, expected] of cases) {
+        for (const order of ['index', 'degree-asc', 'degree-desc', 'random']) {
+            assert.equal(solve(graph, { mode: 'cycle', heuristics, order, seed: 3 }).found, expected);
+        }
+    }
+});
+
+test('the search starts from the requested vertex', () => {
+    const done = solve(cycle(5), { mode: 'cycle', start: 3 });
+    assert.equal(done.path[0], 3);
+});
+
+test('maxSteps stops the search and marks the result truncated', () => {
+    const done = solve(petersen(), { mode: 'cycle', maxSteps: 50 });
+    assert.equal(done.found, false);
+    assert.equal(done.truncated, true);
+});
+
+test('TSP backtracking and Held-Karp agree on the optimal tour cost', () => {
+    const graph = complete(5);
+    graph.links.forEach((l, i) => { l.weight = (i * 7) % 11 + 1; });
+    const backtracking = solve(graph, { mode: 'tsp' });
+    const dp = solve(graph, { mode: 'tsp', algorithm: 'held-karp' });
+    assert.equal(backtracking.found, true);
+    assert.equal(dp.best.cost, backtracking.best.cost);
+    assertHamiltonian(graph, backtracking.best.path, true);
+});
+
+const verdict = (graph, sequence, options) => [...verify(graph, sequence, options)].pop();
+
+test('verify accepts a Hamiltonian cycle, with or without the start repeated', () => {
+    assert.deepEqual(verdict(cycle(5), [0, 1, 2, 3, 4], { mode: 'cycle' }).problems, []);
+    assert.equal(verdict(cycle(5), [2, 1, 0, 4, 3, 2], { mode: 'cycle' }).valid, true);
+    assert.equal(verdict(petersen(), solve(petersen(), { mode: 'path' }).path, { mode: 'path' }).valid, true);
+});
+
+test('verify flags repeated vertices, missing vertices and non-edges', () => {
+    // C5: 0-2 is not an edge, 0 and 1 come back, 3 and 4 are never visited. Closing 1-0 is fine.
+    const { valid, problems } = verdict(cycle(5), [0, 2, 1, 0, 1], { mode: 'cycle' });
+    assert.equal(valid, false);
+    assert.deepEqual(problems, [
+        { type: 'non-edge', from: 0, to: 2, closing: false },
+        { type: 'repeat', vertex: 0, position: 3 },
+        { type: 'repeat', vertex: 1, position: 4 },
+        { type: 'missing', vertices: [3, 4] }
+    ]);
+});
+
+test('verify checks the closing edge of a cycle but not of a path', () => {
+    const path = graphFrom(3, [[0, 1], [1, 2]]);
+    assert.equal(verdict(path, [0, 1, 2], { mode: 'path' }).valid, true);
+    assert.deepEqual(verdict(path, [0, 1, 2], { mode: 'cycle' }).problems, [{ type: 'non-edge', from: 2, to: 0, closing: true }]);
+});
+
+test('verify rejects an undirected 2-vertex cycle but accepts a directed one', () => {
+    assert.deepEqual(verdict(complete(2), [0, 1], { mode: 'cycle' }).problems, [{ type: 'reused-edge', from: 1, to: 0 }]);
+    assert.equal(verdict(complete(2), [0, 1], { mode: 'path' }).valid, true);
+    assert.equal(verdict(graphFrom(2, [[0, 1], [1, 0]], { directed: true }), [0, 1, 0], { mode: 'cycle' }).valid, true);
+});
+
+test('verify checks the endpoints in path-fixed mode and arc direction in directed graphs', () => {
+    const path = graphFrom(3, [[0, 1], [1, 2]]);
+    assert.equal(verdict(path, [2, 1, 0], { mode: 'path-fixed', start: 2, end: 0 }).valid, true);
+    assert.deepEqual(verdict(path, [2, 1, 0], { mode: 'path-fixed', start: 0, end: 2 }).problems, [{ type: 'endpoints', start: 0, end: 2 }]);
+    const arcs = graphFrom(3, [[0, 1], [1, 2], [2, 0]], { directed: true });
+    assert.equal(verdict(arcs, [0, 1, 2], { mode: 'cycle' }).valid, true);
+    assert.equal(verdict(arcs, [0, 2, 1], { mode: 'cycle' }).problems.length, 3);
+});
+
+test('verify yields one event per check before its verdict', () => {
+    const types = [...verify(cycle(3), [0, 1, 2], { mode: 'cycle' })].map(step => step.type);
+    assert.deepEqual(types, ['check-vertex', 'check-edge', 'check-vertex', 'check-edge', 'check-vertex',
+        'check-edge', 'check-missing', 'verified']);
+});